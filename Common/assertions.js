@@ -0,0 +1,186 @@
+import { check } from "k6";
+import { phaseTags } from "./lifecycle.js";
+
+/**
+ * Declarative response assertions.
+ *
+ * Every rule becomes its own named k6 check tagged {Checks: <transaction>},
+ * so a failure in the summary says exactly which expectation was not met.
+ *
+ * Supported rules:
+ *   status          - allowed status codes, e.g. [200, 201]
+ *   bodyContains    - string or list of strings the body must contain
+ *   bodyNotContains - string or list of strings the body must not contain
+ *   bodyMatches     - regular expression source or list of them
+ *   json            - list of {path, equals} or {path, exists} on the JSON body,
+ *                     path in dot/bracket form such as "data[0].id"
+ *   schema          - JSON schema subset (type, properties, required, items,
+ *                     enum, minimum, maximum, minLength, maxLength, pattern,
+ *                     minItems, maxItems) the JSON body must satisfy
+ *   headers         - map of header name to a value the header must contain
+ *   maxSize         - max response body size in bytes
+ *   maxDuration     - max response time (timings.duration) in ms
+ */
+
+/**
+ * Runs the assertion rules against a response.
+ *
+ * @param {Object} response - k6 response
+ * @param {Object} rules - assertion rules, see above
+ * @param {String} tagname - transaction tag name used for the Checks tag
+ * @returns {Object} - {ok, failed} where failed lists the names of failing checks
+ */
+export function assertResponse(response, rules, tagname) {
+    let failed = [];
+
+    buildChecks(rules).forEach(function (c) {
+        let sets = {};
+        sets[c.name] = c.fn;
+        if (!check(response, sets, phaseTags({ Checks: tagname }))) {
+            failed.push(c.name);
+        }
+    });
+
+    return { ok: failed.length == 0, failed: failed };
+}
+
+/**
+ * Resolves a dot/bracket path such as "data[0].id" against an object.
+ *
+ * @param {Object} value - parsed JSON
+ * @param {String} path - path expression, "" or "$" for the root
+ * @returns {Object} - {found, value}
+ */
+export function jsonPath(value, path) {
+    let parts = String(path).replace(/^\$\.?/, "").replace(/\[(\w+)\]/g, ".$1").split(".").filter((p) => p !== "");
+    let current = value;
+
+    for (let i = 0; i < parts.length; i++) {
+        if (current === null || typeof current !== "object" || !(parts[i] in current)) {
+            return { found: false, value: undefined };
+        }
+        current = current[parts[i]];
+    }
+    return { found: true, value: current };
+}
+
+/**
+ * Validates a value against a JSON schema subset.
+ *
+ * @param {Object} value - value to validate
+ * @param {Object} schema - JSON schema subset, see above
+ * @param {String} path - location used in error messages
+ * @returns {Array<String>} - validation errors, empty when valid
+ */
+export function validateSchema(value, schema, path = "$") {
+    let errors = [];
+
+    if (schema.type && !matchesType(value, schema.type)) {
+        return [`${path} should be ${schema.type}`];
+    }
+    if (schema.enum && schema.enum.indexOf(value) == -1) {
+        errors.push(`${path} should be one of ${JSON.stringify(schema.enum)}`);
+    }
+    if (typeof value === "number") {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} should be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} should be <= ${schema.maximum}`);
+    }
+    if (typeof value === "string") {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path} should have at least ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} should have at most ${schema.maxLength} characters`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path} should match ${schema.pattern}`);
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} should have at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} should have at most ${schema.maxItems} items`);
+        if (schema.items) {
+            value.forEach(function (item, i) {
+                errors = errors.concat(validateSchema(item, schema.items, `${path}[${i}]`));
+            });
+        }
+    } else if (value !== null && typeof value === "object") {
+        (schema.required || []).forEach(function (key) {
+            if (!(key in value)) errors.push(`${path}.${key} is required`);
+        });
+        Object.keys(schema.properties || {}).forEach(function (key) {
+            if (key in value) {
+                errors = errors.concat(validateSchema(value[key], schema.properties[key], `${path}.${key}`));
+            }
+        });
+    }
+
+    return errors;
+}
+
+function buildChecks(rules = {}) {
+    let checks = [];
+
+    if (rules.status) {
+        checks.push({ name: `status in [${rules.status.join(",")}]`, fn: (r) => rules.status.indexOf(r.status) != -1 });
+    }
+    list(rules.bodyContains).forEach(function (text) {
+        checks.push({ name: `body contains "${text}"`, fn: (r) => typeof r.body === "string" && r.body.indexOf(text) != -1 });
+    });
+    list(rules.bodyNotContains).forEach(function (text) {
+        checks.push({ name: `body does not contain "${text}"`, fn: (r) => typeof r.body === "string" && r.body.indexOf(text) == -1 });
+    });
+    list(rules.bodyMatches).forEach(function (pattern) {
+        checks.push({ name: `body matches /${pattern}/`, fn: (r) => typeof r.body === "string" && new RegExp(pattern).test(r.body) });
+    });
+    list(rules.json).forEach(function (rule) {
+        if (rule.exists !== undefined) {
+            checks.push({ name: `json ${rule.path} ${rule.exists ? "exists" : "is absent"}`, fn: (r) => jsonPath(parseJson(r), rule.path).found === rule.exists });
+        } else {
+            checks.push({ name: `json ${rule.path} equals ${JSON.stringify(rule.equals)}`, fn: (r) => JSON.stringify(jsonPath(parseJson(r), rule.path).value) === JSON.stringify(rule.equals) });
+        }
+    });
+    if (rules.schema) {
+        checks.push({ name: "json matches schema", fn: (r) => validateSchema(parseJson(r), rules.schema).length == 0 });
+    }
+    Object.keys(rules.headers || {}).forEach(function (name) {
+        checks.push({ name: `header ${name} contains "${rules.headers[name]}"`, fn: (r) => String(header(r, name)).indexOf(rules.headers[name]) != -1 });
+    });
+    if (rules.maxSize !== undefined) {
+        checks.push({ name: `body size <= ${rules.maxSize} bytes`, fn: (r) => (r.body ? r.body.length : 0) <= rules.maxSize });
+    }
+    if (rules.maxDuration !== undefined) {
+        checks.push({ name: `response time <= ${rules.maxDuration} ms`, fn: (r) => r.timings.duration <= rules.maxDuration });
+    }
+
+    return checks;
+}
+
+function list(value) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    return Array.isArray(value) ? value : [value];
+}
+
+function parseJson(response) {
+    try {
+        return JSON.parse(response.body);
+    } catch (e) {
+        return undefined;
+    }
+}
+
+function header(response, name) {
+    let key = Object.keys(response.headers || {}).find((h) => h.toLowerCase() == name.toLowerCase());
+    return key === undefined ? "" : response.headers[key];
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case "array":
+            return Array.isArray(value);
+        case "object":
+            return value !== null && typeof value === "object" && !Array.isArray(value);
+        case "integer":
+            return Number.isInteger(value);
+        case "null":
+            return value === null;
+        default:
+            return typeof value === type;
+    }
+}
@@ -0,0 +1,141 @@
+import { resolveSla } from "./thresholds.js";
+
+/**
+ * Baseline comparison between runs.
+ *
+ * A baseline is the JSON summary written by summaryOutputs, saved with
+ * -e SAVE_BASELINE=<file> and replayed with -e BASELINE=<file>. The p95 of
+ * every transaction in the baseline becomes an extra threshold on
+ * http_req_duration{RT:<name>}, so a regression beyond tolerance fails the
+ * run with k6's threshold exit code.
+ *
+ * Tolerance (percent) is resolved per transaction: -e BASELINE_TOLERANCE
+ * when set, otherwise the "baselineTolerance" SLA key, otherwise 10.
+ */
+
+const defaultTolerance = 10;
+
+/**
+ * Resolves the allowed p95 regression in percent for a transaction.
+ *
+ * @param {String} name - transaction tag name
+ * @param {Object} sla - parsed config/sla.json
+ * @param {String} env - environment key
+ * @returns {Number} - tolerance in percent
+ */
+export function baselineTolerance(name, sla, env) {
+    if (__ENV.BASELINE_TOLERANCE) {
+        return Number(__ENV.BASELINE_TOLERANCE);
+    }
+    let tolerance = resolveSla(name, sla, env).baselineTolerance;
+    return tolerance === undefined || tolerance === null ? defaultTolerance : tolerance;
+}
+
+/**
+ * Adds a baseline p95 threshold for every transaction present in the baseline.
+ *
+ * @param {Object} thresholds - output of buildThresholds, modified in place
+ * @param {Object} baseline - parsed baseline summary, or null to skip
+ * @param {Array<String>} transactions - transaction tag names
+ * @param {Object} sla - parsed config/sla.json
+ * @param {String} env - environment key
+ * @returns {Object} - the same thresholds object
+ */
+export function applyBaseline(thresholds, baseline, transactions, sla, env) {
+    if (!baseline) {
+        return thresholds;
+    }
+
+    transactions.forEach(function (name) {
+        let previous = baseline.transactions[name];
+        if (!previous || previous.p95 === undefined) {
+            return;
+        }
+        let limit = previous.p95 * (1 + baselineTolerance(name, sla, env) / 100);
+        let metric = `http_req_duration{RT:${name}}`;
+        thresholds[metric] = (thresholds[metric] || []).concat([`p(95) < ${limit.toFixed(2)}`]);
+    });
+
+    return thresholds;
+}
+
+/**
+ * Compares the current transaction rows against the baseline.
+ *
+ * @param {Array<Object>} rows - output of transactionRows
+ * @param {Object} baseline - parsed baseline summary
+ * @param {Object} sla - parsed config/sla.json
+ * @param {String} env - environment key
+ * @returns {Array<Object>} - one diff entry per transaction found in both runs
+ */
+export function compareToBaseline(rows, baseline, sla, env) {
+    return rows
+        .filter((row) => baseline.transactions[row.name])
+        .map(function (row) {
+            let previous = baseline.transactions[row.name];
+            let tolerance = baselineTolerance(row.name, sla, env);
+            let change = percentChange(previous.p95, row.p95);
+
+            return {
+                name: row.name,
+                baselineP95: previous.p95,
+                currentP95: row.p95,
+                baselineAvg: previous.avg,
+                currentAvg: row.avg,
+                baselineCheckRate: previous.checkRate,
+                currentCheckRate: row.checkRate,
+                change: change,
+                tolerance: tolerance,
+                regressed: change !== undefined && change > tolerance
+            };
+        });
+}
+
+/**
+ * Renders the baseline diff as a fixed-width text table for the console.
+ *
+ * @param {Array<Object>} diff - output of compareToBaseline
+ * @param {Object} baseline - parsed baseline summary, used for the header line
+ * @returns {String} - text table
+ */
+export function diffTable(diff, baseline) {
+    let line = (cols) => cols.map((c, i) => (i == 0 ? pad(c, 28) : pad(c, 12, true))).join(" ");
+    let lines = [
+        "",
+        `     baseline comparison (baseline from ${baseline.generatedAt || "unknown"}, env ${baseline.env || "unknown"})`,
+        "",
+        "     " + line(["Transaction", "Base P95", "Curr P95", "Change", "Tolerance", "Result"])
+    ];
+
+    diff.forEach(function (d) {
+        lines.push("     " + line([
+            d.name,
+            fixed(d.baselineP95),
+            fixed(d.currentP95),
+            d.change === undefined ? "-" : `${d.change >= 0 ? "+" : ""}${d.change.toFixed(1)}%`,
+            `${d.tolerance}%`,
+            d.regressed ? "REGRESSED" : "OK"
+        ]));
+    });
+
+    return lines.join("\n") + "\n";
+}
+
+function percentChange(previous, current) {
+    if (previous === undefined || current === undefined || previous == 0) {
+        return undefined;
+    }
+    return ((current - previous) / previous) * 100;
+}
+
+function fixed(value) {
+    return value === undefined ? "-" : value.toFixed(2);
+}
+
+function pad(value, width, left) {
+    let text = String(value);
+    while (text.length < width) {
+        text = left ? " " + text : text + " ";
+    }
+    return text;
+}
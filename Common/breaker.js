@@ -0,0 +1,190 @@
+import exec from "k6/execution";
+import { Counter } from "k6/metrics";
+import { warn } from "./logger.js";
+import { toSeconds } from "./scenarios.js";
+
+/**
+ * Circuit breaker for load runs: stops adding load to a target that has
+ * fallen over instead of hammering it for the rest of the run.
+ *
+ * Settings come from the "breaker" block of the suite config; every
+ * transaction may override any of them under "transactions":
+ *
+ *   "breaker": {
+ *       "enabled": false, "window": "30s", "minRequests": 10, "errorRate": 0.5, "p95": null,
+ *       "action": "abort", "cooldown": "30s",
+ *       "transactions": {"T03_Demo_K6Login": {"action": "skip", "downstream": ["T04_Demo_K6Logout"]}}
+ *   }
+ *
+ *   window      - sliding window the error rate and p95 are measured over
+ *   minRequests - no decision before the window holds this many responses
+ *   errorRate   - trip when the share of failed responses is above this, null for no limit
+ *   p95         - trip when the 95th percentile response time in ms is above this, null for no limit
+ *   action      - what a trip does, one of:
+ *                   abort (default) - abort the whole test
+ *                   skip            - skip the "downstream" transactions for the cooldown
+ *   cooldown    - how long a skip lasts; the window then starts empty again
+ *
+ *   -e BREAKER=true|false     override "enabled" for a single run
+ *   -e BREAKER_ACTION=abort   override the action of every transaction
+ *
+ * Every decision is per VU. k6 VUs share no memory, so each VU keeps its own
+ * windows, counts minRequests on the responses it saw itself, and skips only
+ * its own downstream transactions: the other VUs keep sending them until
+ * their own windows cross the limit. Only "abort" acts on the whole test.
+ * There is no action that pauses the load: a VU that sat out its iterations
+ * would just be replaced by another under an arrival-rate executor, so the
+ * rate would not drop. With many VUs and few requests each a window may never
+ * reach minRequests; a test-wide stop on a rate is what a threshold with
+ * abortOnFail is for.
+ *
+ * Trips are counted in breaker_trips{Breaker:<transaction>,cause:<cause>}
+ * and the transactions a breaker held back in
+ * breaker_skipped{Breaker:<transaction>}; the summary lists both with the
+ * rule that tripped.
+ */
+
+export const breakerActions = ["abort", "skip"];
+
+export const breakerCauses = ["errorRate", "p95"];
+
+const trips = new Counter("breaker_trips");
+const skipped = new Counter("breaker_skipped");
+const defaults = { enabled: false, window: "30s", minRequests: 10, errorRate: 0.5, p95: null, action: "abort", cooldown: "30s", downstream: [] };
+
+/**
+ * Creates the circuit breaker of a suite. Must be called in the init
+ * context; the returned object keeps the windows of its VU and decides for
+ * that VU only.
+ *
+ * @param {Object} config - the "breaker" block of the suite config
+ * @returns {Object} - {enabled, record(tagname, response, ok), allows(tagname), describe(tagname)}
+ */
+export function createBreaker(config = {}) {
+    let enabled = __ENV.BREAKER !== undefined ? __ENV.BREAKER == "true" : config.enabled === true;
+    let overrides = config.transactions || {};
+    let windows = {};
+    let open = {};
+    let resolved = {};
+
+    let settingsOf = function (name) {
+        if (!resolved[name]) {
+            let s = Object.assign({}, defaults, config, overrides[name]);
+            if (__ENV.BREAKER_ACTION !== undefined) {
+                s.action = __ENV.BREAKER_ACTION;
+            }
+            if (breakerActions.indexOf(s.action) == -1) {
+                throw new Error(`Unknown breaker action "${s.action}" for ${name}. Valid actions: ${breakerActions.join(", ")}`);
+            }
+            s.windowMs = toSeconds(s.window) * 1000;
+            s.cooldownMs = toSeconds(s.cooldown) * 1000;
+            resolved[name] = s;
+        }
+        return resolved[name];
+    };
+
+    // fail at init on a bad action rather than in the middle of the run
+    if (enabled) {
+        Object.keys(overrides).concat(["(defaults)"]).forEach((name) => settingsOf(name));
+    }
+
+    // open breakers whose cooldown has passed close again with an empty window
+    let current = function (now) {
+        Object.keys(open).forEach(function (name) {
+            if (open[name].until <= now) {
+                delete open[name];
+                windows[name] = [];
+            }
+        });
+        return open;
+    };
+
+    let trip = function (name, cause, reason) {
+        let s = settingsOf(name);
+        trips.add(1, { Breaker: name, cause: cause });
+        warn(`Circuit breaker of ${name} tripped: ${reason}`, { txn: name, cause: cause, action: s.action });
+        if (s.action == "abort") {
+            exec.test.abort(`Circuit breaker of ${name} tripped: ${reason}`);
+        }
+        open[name] = { until: Date.now() + s.cooldownMs, action: s.action, downstream: s.downstream };
+    };
+
+    return {
+        enabled: enabled,
+
+        /**
+         * Adds a response to the transaction's window and trips the breaker
+         * when the window crosses a limit.
+         *
+         * @param {String} tagname - transaction tag name
+         * @param {Object} response - k6 response
+         * @param {Boolean} ok - whether the transaction passed its checks
+         */
+        record: function (tagname, response, ok) {
+            if (!enabled) {
+                return;
+            }
+            let now = Date.now();
+            let s = settingsOf(tagname);
+            if (current(now)[tagname]) {
+                return;
+            }
+            let window = (windows[tagname] || []).filter((sample) => sample.at > now - s.windowMs);
+            window.push({ at: now, ok: ok, duration: response ? response.timings.duration : 0 });
+            windows[tagname] = window;
+            if (window.length < s.minRequests) {
+                return;
+            }
+
+            let errorRate = window.filter((sample) => !sample.ok).length / window.length;
+            if (s.errorRate !== null && errorRate > s.errorRate) {
+                trip(tagname, "errorRate", `error rate ${(errorRate * 100).toFixed(1)}% above ${(s.errorRate * 100).toFixed(1)}% over the last ${s.window} (${window.length} responses)`);
+                return;
+            }
+            let durations = window.map((sample) => sample.duration).sort((a, b) => a - b);
+            let p95 = durations[Math.min(durations.length - 1, Math.ceil(durations.length * 0.95) - 1)];
+            if (s.p95 !== null && p95 > s.p95) {
+                trip(tagname, "p95", `p95 ${Math.round(p95)} ms above ${s.p95} ms over the last ${s.window} (${window.length} responses)`);
+            }
+        },
+
+        /**
+         * Tells whether a transaction may run, counting it as skipped for
+         * the breaker that holds it back otherwise.
+         *
+         * @param {String} tagname - transaction tag name
+         * @returns {Boolean}
+         */
+        allows: function (tagname) {
+            if (!enabled) {
+                return true;
+            }
+            let breakers = current(Date.now());
+            let holding = Object.keys(breakers).find((name) => breakers[name].action == "skip" && breakers[name].downstream.indexOf(tagname) != -1);
+            if (holding === undefined) {
+                return true;
+            }
+            skipped.add(1, { Breaker: holding });
+            return false;
+        },
+
+        /**
+         * Describes the rule of a transaction's breaker for the summary.
+         *
+         * @param {String} tagname - transaction tag name
+         * @returns {String} - e.g. "per VU: error rate above 50% over 30s (min 10 responses), then skip T04_Demo_K6Logout for 30s"
+         */
+        describe: function (tagname) {
+            let s = settingsOf(tagname);
+            let limits = [];
+            if (s.errorRate !== null) {
+                limits.push(`error rate above ${s.errorRate * 100}%`);
+            }
+            if (s.p95 !== null) {
+                limits.push(`p95 above ${s.p95} ms`);
+            }
+            let action = s.action == "abort" ? "abort the test" : `skip ${s.downstream.join(", ") || "nothing"} for ${s.cooldown}`;
+            return `per VU: ${limits.join(" or ") || "no limits"} over ${s.window} (min ${s.minRequests} responses), then ${action}`;
+        }
+    };
+}
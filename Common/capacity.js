@@ -0,0 +1,135 @@
+import { worker } from "./distributed.js";
+
+/**
+ * VU capacity planner for the arrival-rate scenarios.
+ *
+ * Works on the test plan (see plan.js): the VUs an arrival-rate scenario
+ * needs at peak follow from Little's law, peak rate x iteration length,
+ * where the iteration length adds up the transactions' latency and think
+ * times. Latency is the SLA p95 unless PLAN_LATENCY is set or a previous
+ * run's summary is passed with -e LATENCY_FROM (its avg per transaction).
+ *
+ *   -e AUTO_VUS=true     replace preAllocatedVUs/maxVUs of the arrival-rate scenarios with the recommendation
+ *   -e VU_HEADROOM=1.5   maxVUs = VUs needed at peak x headroom, room for latency to degrade
+ *   -e VU_MEMORY=2       estimated memory of one VU in MiB
+ *   -e BASE_MEMORY=35    memory of the k6 process without VUs in MiB
+ *   -e MEMORY_LIMIT=75   memory limit of the pod in MiB
+ *
+ * Memory is estimated per pod at its peak, when every scenario has allocated
+ * its maxVUs; a distributed run (-e WORKERS) splits the VUs across pods.
+ * Use -e PLAN=true to see the recommendation without running.
+ */
+
+const arrivalRateExecutors = ["ramping-arrival-rate", "constant-arrival-rate"];
+
+/**
+ * Tells whether the recommendation is applied to the scenarios.
+ *
+ * @returns {Boolean}
+ */
+export function autoVUs() {
+    return __ENV.AUTO_VUS === "true";
+}
+
+/**
+ * Recommends VUs per scenario and estimates the memory they need.
+ *
+ * @param {Object} scenarios - the scenarios that would run (options.scenarios)
+ * @param {Array<Object>} planned - scenarios of the plan, see buildPlan
+ * @returns {Object} - {scenarios, memory: {configured, recommended, limit, perVU, base, workers}, fittingVUs, warnings}
+ */
+export function planCapacity(scenarios, planned) {
+    let headroom = setting("VU_HEADROOM", 1.5, 1);
+    let perVU = setting("VU_MEMORY", 2, 0);
+    let base = setting("BASE_MEMORY", 35, 0);
+    let limit = setting("MEMORY_LIMIT", 75, 0);
+
+    let recommended = planned.map(function (p) {
+        let scenario = scenarios[p.name];
+        let arrivalRate = arrivalRateExecutors.indexOf(scenario.executor) != -1;
+        let configured = arrivalRate ? scenario.maxVUs : p.requiredVUs;
+        let preAllocatedVUs = arrivalRate ? Math.max(1, p.requiredVUs) : configured;
+        return {
+            name: p.name,
+            arrivalRate: arrivalRate,
+            requiredVUs: p.requiredVUs,
+            configured: arrivalRate ? `${scenario.preAllocatedVUs}/${scenario.maxVUs}` : String(configured),
+            configuredMaxVUs: configured,
+            preAllocatedVUs: preAllocatedVUs,
+            maxVUs: arrivalRate ? Math.max(preAllocatedVUs, Math.ceil(p.requiredVUs * headroom)) : configured
+        };
+    });
+
+    let workers = worker().count;
+    let memory = (vus) => Math.ceil(base + Math.ceil(vus / workers) * perVU);
+    let configuredVUs = recommended.reduce((sum, r) => sum + r.configuredMaxVUs, 0);
+    let recommendedVUs = recommended.reduce((sum, r) => sum + r.maxVUs, 0);
+    let fittingVUs = perVU > 0 ? Math.max(0, Math.floor((limit - base) / perVU)) * workers : Infinity;
+    let warnings = [];
+
+    if (memory(recommendedVUs) > limit) {
+        warnings.push(`${recommendedVUs} VUs need ~${memory(recommendedVUs)}Mi per pod but pods are limited to ${limit}Mi ` +
+            `(${fittingVUs} VUs fit in ${workers} pod${workers > 1 ? "s" : ""}); lower the target, cut think time, add workers or raise the memory limit`);
+    }
+    recommended.filter((r) => r.arrivalRate && r.configuredMaxVUs < r.requiredVUs).forEach(function (r) {
+        warnings.push(`${r.name}: maxVUs ${r.configuredMaxVUs} is below the ${r.requiredVUs} VUs needed at peak; expect "insufficient VUs" and dropped iterations`);
+    });
+
+    return {
+        scenarios: recommended,
+        memory: { configured: memory(configuredVUs), recommended: memory(recommendedVUs), limit: limit, perVU: perVU, base: base, workers: workers },
+        fittingVUs: fittingVUs,
+        warnings: warnings
+    };
+}
+
+/**
+ * Copies the scenarios with the recommended preAllocatedVUs/maxVUs on every
+ * arrival-rate scenario; other executors are left as they are.
+ *
+ * @param {Object} scenarios - the scenarios that would run (options.scenarios)
+ * @param {Object} capacity - output of planCapacity
+ * @returns {Object} - scenarios to assign to options.scenarios
+ */
+export function applyCapacity(scenarios, capacity) {
+    let sized = {};
+    Object.keys(scenarios).forEach((name) => (sized[name] = scenarios[name]));
+    capacity.scenarios.filter((r) => r.arrivalRate).forEach(function (r) {
+        sized[r.name] = Object.assign({}, scenarios[r.name], { preAllocatedVUs: r.preAllocatedVUs, maxVUs: r.maxVUs });
+    });
+    return sized;
+}
+
+/**
+ * Renders the recommendation for the console.
+ *
+ * @param {Object} capacity - output of planCapacity
+ * @returns {String} - text table
+ */
+export function capacityText(capacity) {
+    let line = (cols) => cols.map((c, i) => (i == 0 ? String(c).padEnd(28) : String(c).padStart(12))).join(" ");
+    let lines = [
+        "",
+        `     VU capacity (${autoVUs() ? "applied" : "recommended, apply with -e AUTO_VUS=true"})`,
+        "",
+        "     " + line(["Scenario", "VUs needed", "Configured", "PreAlloc", "MaxVUs"])
+    ];
+    capacity.scenarios.forEach(function (r) {
+        lines.push("     " + line([r.name, r.requiredVUs, r.configured, r.preAllocatedVUs, r.maxVUs]));
+    });
+    lines.push(
+        "",
+        `     memory per pod ~${capacity.memory.configured}Mi as configured, ~${capacity.memory.recommended}Mi as recommended, ` +
+        `limit ${capacity.memory.limit}Mi (${capacity.memory.base}Mi + ${capacity.memory.perVU}Mi per VU, ${capacity.memory.workers} worker${capacity.memory.workers > 1 ? "s" : ""})`
+    );
+    capacity.warnings.forEach((w) => lines.push(`       ! ${w}`));
+    return lines.join("\n") + "\n";
+}
+
+function setting(name, fallback, min) {
+    let value = __ENV[name] === undefined ? fallback : Number(__ENV[name]);
+    if (isNaN(value) || value < min) {
+        throw new Error(`Invalid ${name} "${__ENV[name]}", expected a number >= ${min}`);
+    }
+    return value;
+}
@@ -0,0 +1,175 @@
+import http from "k6/http";
+import { phaseTags } from "./lifecycle.js";
+
+/**
+ * Shared HTTP client: browser-like header profiles, Host/Origin derived from
+ * the base URL, transaction tags, timeouts and redirect policy in one place.
+ *
+ * Client settings come from the "http" block of the suite config:
+ *
+ *   "http": {"profile": "edge", "timeout": "60s", "redirects": 10, "rotateUserAgents": false, "headers": {}}
+ *
+ *   profile          - header profile used when a request names none, see profiles
+ *   timeout          - request timeout, k6 duration string
+ *   redirects        - max redirects to follow, 0 to return 3xx responses as they are
+ *   rotateUserAgents - give every VU one of the profile's user agents instead of the first
+ *   headers          - extra headers sent with every request
+ *
+ * -e HTTP_TIMEOUT, -e HTTP_REDIRECTS and -e ROTATE_USER_AGENTS=true override
+ * the config for a single run.
+ */
+
+const browserAccept = "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7";
+
+const navigation = {
+    "Accept": browserAccept,
+    "Accept-Encoding": "gzip, deflate, br, zstd",
+    "Accept-Language": "en-US,en;q=0.9",
+    "Connection": "keep-alive",
+    "Sec-Fetch-Dest": "document",
+    "Sec-Fetch-Mode": "navigate",
+    "Sec-Fetch-Site": "same-origin",
+    "Sec-Fetch-User": "?1",
+    "Upgrade-Insecure-Requests": "1"
+};
+
+/**
+ * Header profiles. userAgents[0] is sent unless user agent rotation is on.
+ */
+export const profiles = {
+    edge: {
+        headers: Object.assign({}, navigation, {
+            "sec-ch-ua": '"Microsoft Edge";v="131", "Chromium";v="131", "Not_A Brand";v="24"',
+            "sec-ch-ua-mobile": "?0",
+            "sec-ch-ua-platform": '"Windows"'
+        }),
+        userAgents: [
+            "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36 Edg/131.0.0.0",
+            "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36 Edg/131.0.2903.70",
+            "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36 Edg/131.0.2903.86"
+        ]
+    },
+    chrome: {
+        headers: Object.assign({}, navigation, {
+            "sec-ch-ua": '"Google Chrome";v="131", "Chromium";v="131", "Not_A Brand";v="24"',
+            "sec-ch-ua-mobile": "?0",
+            "sec-ch-ua-platform": '"Windows"'
+        }),
+        userAgents: [
+            "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36",
+            "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36",
+            "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36"
+        ]
+    },
+    safariMobile: {
+        headers: Object.assign({}, navigation, {
+            "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
+            "Accept-Encoding": "gzip, deflate, br"
+        }),
+        userAgents: [
+            "Mozilla/5.0 (iPhone; CPU iPhone OS 18_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/18.1 Mobile/15E148 Safari/604.1",
+            "Mozilla/5.0 (iPhone; CPU iPhone OS 17_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.6 Mobile/15E148 Safari/604.1",
+            "Mozilla/5.0 (iPad; CPU OS 18_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/18.1 Mobile/15E148 Safari/604.1"
+        ]
+    },
+    api: {
+        headers: {
+            "Accept": "application/json",
+            "Accept-Encoding": "gzip, deflate, br"
+        },
+        userAgents: ["K6-Perf/1.0"]
+    }
+};
+
+/**
+ * The RT, TPS, FR and Checks tags every transaction request carries
+ * (their warm-up replacement during the warm-up, see lifecycle.js).
+ *
+ * @param {String} tagname - transaction tag name
+ * @returns {Object} - tags
+ */
+export function transactionTags(tagname) {
+    return phaseTags({ Checks: tagname, RT: tagname, TPS: tagname, FR: tagname });
+}
+
+/**
+ * Creates a client bound to a base URL. Must be called in the init context.
+ *
+ * @param {Object} settings - {baseURL, profile, timeout, redirects, rotateUserAgents, headers}
+ * @returns {Object} - {request, get, post, headers}
+ */
+export function createClient(settings) {
+    let base = settings.baseURL.replace(/\/+$/, "");
+    let origin = /^(https?:\/\/[^/]+)/.exec(base)[1];
+    let host = origin.replace(/^https?:\/\//, "");
+    let defaultProfile = settings.profile || "edge";
+    let timeout = __ENV.HTTP_TIMEOUT || settings.timeout;
+    let redirects = __ENV.HTTP_REDIRECTS !== undefined ? Number(__ENV.HTTP_REDIRECTS) : settings.redirects;
+    let rotate = __ENV.ROTATE_USER_AGENTS !== undefined ? __ENV.ROTATE_USER_AGENTS == "true" : settings.rotateUserAgents === true;
+
+    profileOf(defaultProfile);
+
+    let headers = function (method, profile, extra) {
+        let selected = profileOf(profile || defaultProfile);
+        let agent = selected.userAgents[rotate ? (Math.max(__VU, 1) - 1) % selected.userAgents.length : 0];
+        let derived = { "Host": host, "User-Agent": agent };
+        if (method != "GET" && method != "HEAD") {
+            derived["Origin"] = origin;
+        }
+        return Object.assign({}, selected.headers, derived, settings.headers, extra);
+    };
+
+    let request = function (method, path, body, params = {}) {
+        method = method.toUpperCase();
+        let url = /^https?:\/\//.test(path) ? path : base + path;
+        let options = {
+            headers: headers(method, params.profile, params.headers),
+            tags: Object.assign({}, params.tag ? transactionTags(params.tag) : {}, params.tags)
+        };
+        let requestTimeout = params.timeout || timeout;
+        let requestRedirects = params.redirects !== undefined ? params.redirects : redirects;
+        if (requestTimeout !== undefined) {
+            options.timeout = requestTimeout;
+        }
+        if (requestRedirects !== undefined) {
+            options.redirects = requestRedirects;
+        }
+        return http.request(method, url, body === undefined ? null : body, options);
+    };
+
+    return {
+        /**
+         * Sends a request.
+         *
+         * @param {String} method - HTTP method
+         * @param {String} path - path appended to the base URL, or an absolute URL
+         * @param {Object} body - request body, null for none
+         * @param {Object} params - {tag, profile, headers, tags, timeout, redirects};
+         *   tag is the transaction tag name, leave it out for requests that
+         *   should not count towards a transaction
+         * @returns {Object} - k6 response
+         */
+        request: request,
+
+        get: (path, params) => request("GET", path, null, params),
+
+        post: (path, body, params) => request("POST", path, body, params),
+
+        /**
+         * Headers a request would be sent with, for code that calls k6/http directly.
+         *
+         * @param {String} method - HTTP method
+         * @param {String} profile - profile name, the client default when omitted
+         * @param {Object} extra - headers overriding the profile
+         * @returns {Object} - headers
+         */
+        headers: headers
+    };
+}
+
+function profileOf(name) {
+    if (!profiles[name]) {
+        throw new Error(`Unknown header profile "${name}". Valid profiles: ${Object.keys(profiles).join(", ")}`);
+    }
+    return profiles[name];
+}
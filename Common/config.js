@@ -0,0 +1,216 @@
+/**
+ * Layered configuration loader shared by the suites.
+ *
+ * The effective configuration for -e ENV=<env> is built from, in increasing
+ * order of precedence:
+ *   1. config/base.json               values shared by every environment
+ *   2. config/env.json[<env>]         the environment overlay
+ *   3. -e SECRETS_FILE=<path>         a mounted JSON file, same shape as an overlay
+ *   4. -e CONFIG_<PATH>=<value>       any single value, e.g. CONFIG_URL or CONFIG_CREDS_PASSWORD
+ *
+ * Objects are merged key by key, everything else is replaced. Must be called
+ * in the init context since it reads files with open().
+ *
+ * Secrets are never committed: in base.json and env.json every password,
+ * secret, token or apiKey value is the placeholder "${secret}" (or empty), and
+ * the real value has to come from the SECRETS_FILE or a CONFIG_<PATH> variable.
+ * Loading fails when a committed file holds anything else, or when a
+ * placeholder is left unreplaced.
+ */
+
+const secretKey = /pass(word)?|secret|token|api[-_]?key/i;
+
+/**
+ * Stands in for a secret value in the committed config files.
+ */
+export const secretPlaceholder = "${secret}";
+
+/**
+ * Loads, merges and validates the configuration for an environment.
+ *
+ * @param {Object} settings - {base, environments, env, required, secrets}
+ *   base         - path of the base config file (optional)
+ *   environments - path of the per-environment overlay file
+ *   env          - environment key, __ENV.ENV by default
+ *   required     - dot paths that must be present, e.g. ["url", "creds.username"]
+ *   secrets      - extra dot paths to redact besides password/secret/token/apiKey keys
+ * @returns {Object} - the effective configuration
+ */
+export function loadConfig(settings) {
+    let env = settings.env === undefined ? __ENV.ENV : settings.env;
+    let overlays = JSON.parse(open(settings.environments));
+    let valid = Object.keys(overlays);
+
+    if (!env) {
+        throw new Error(`No environment selected. Pass -e ENV=<env>, valid environments: ${valid.join(", ")}`);
+    }
+    if (!overlays[env]) {
+        throw new Error(`Unknown environment "${env}" in ${settings.environments}. Valid environments: ${valid.join(", ")}`);
+    }
+
+    let config = merge({}, settings.base ? JSON.parse(open(settings.base)) : {});
+    config = merge(config, overlays[env]);
+    let committed = secretPaths(config, settings.secrets || []).filter((path) => ["", null, secretPlaceholder].indexOf(getPath(config, path)) == -1);
+    if (committed.length) {
+        throw new Error(`Configuration for "${env}" commits secret values at ${committed.join(", ")}. ` +
+            `Replace them with "${secretPlaceholder}" and pass them with the SECRETS_FILE or as ${committed.map(envName).join(", ")}`);
+    }
+    if (__ENV.SECRETS_FILE) {
+        config = merge(config, JSON.parse(open(__ENV.SECRETS_FILE)));
+    }
+    config = applyEnvOverrides(config, settings.required || [], __ENV);
+
+    validateConfig(config, settings.required || [], env);
+    return config;
+}
+
+/**
+ * Applies CONFIG_<PATH> variables to every known value, including required
+ * paths the files leave out (so secrets can come only from the environment).
+ *
+ * @param {Object} config - merged configuration, modified in place
+ * @param {Array<String>} required - dot paths that must be overridable even when absent
+ * @param {Object} env - environment variables
+ * @returns {Object} - the same configuration
+ */
+export function applyEnvOverrides(config, required, env) {
+    let paths = leafPaths(config);
+    required.forEach((path) => paths.indexOf(path) == -1 && paths.push(path));
+
+    paths.forEach(function (path) {
+        let name = envName(path);
+        if (env[name] !== undefined) {
+            setPath(config, path, coerce(env[name], getPath(config, path)));
+        }
+    });
+    return config;
+}
+
+/**
+ * Checks that every required path holds a value and that no secret
+ * placeholder is left unreplaced.
+ *
+ * @param {Object} config - effective configuration
+ * @param {Array<String>} required - dot paths that must be present
+ * @param {String} env - environment key, used in the error message
+ */
+export function validateConfig(config, required, env) {
+    let missing = required.filter(function (path) {
+        let value = getPath(config, path);
+        return value === undefined || value === null || value === "";
+    });
+    let secrets = leafPaths(config).filter((path) => getPath(config, path) === secretPlaceholder);
+
+    if (missing.length) {
+        throw new Error(`Configuration for "${env}" is missing: ${missing.join(", ")}. ` +
+            `Set them in config/env.json, the SECRETS_FILE or as ${missing.map(envName).join(", ")}`);
+    }
+    if (secrets.length) {
+        throw new Error(`Configuration for "${env}" needs the secret ${secrets.join(", ")}. ` +
+            `Pass -e SECRETS_FILE=<file> or ${secrets.map((path) => `-e ${envName(path)}=...`).join(" ")}`);
+    }
+    if (config.url !== undefined && !/^https?:\/\//.test(config.url)) {
+        throw new Error(`Configuration for "${env}" has an invalid url "${config.url}", expected http:// or https://`);
+    }
+}
+
+/**
+ * Returns a copy of the configuration that is safe to log.
+ *
+ * @param {Object} config - effective configuration
+ * @param {Array<String>} secrets - extra dot paths to redact
+ * @returns {Object} - copy with secret values replaced by "***"
+ */
+export function redact(config, secrets = []) {
+    return redactValue(config, secrets, "");
+}
+
+/**
+ * Logs the redacted configuration. Call it from setup(), which runs once
+ * per test; the init context runs once per VU and more.
+ *
+ * @param {String} env - environment key
+ * @param {Object} config - effective configuration
+ * @param {Array<String>} secrets - extra dot paths to redact
+ */
+export function logConfig(env, config, secrets = []) {
+    console.log(`Configuration for "${env}": ${JSON.stringify(redact(config, secrets))}`);
+}
+
+function redactValue(value, secrets, prefix) {
+    if (Array.isArray(value)) {
+        return value.map((v) => redactValue(v, secrets, prefix));
+    }
+    if (value === null || typeof value !== "object") {
+        return value;
+    }
+
+    let copy = {};
+    Object.keys(value).forEach(function (key) {
+        let path = prefix ? `${prefix}.${key}` : key;
+        let child = value[key];
+        if ((secretKey.test(key) || secrets.indexOf(path) != -1) && (child === null || typeof child !== "object")) {
+            copy[key] = "***";
+        } else {
+            copy[key] = redactValue(child, secrets, path);
+        }
+    });
+    return copy;
+}
+
+function secretPaths(config, secrets) {
+    return leafPaths(config).filter((path) => secretKey.test(path.split(".").pop()) || secrets.indexOf(path) != -1);
+}
+
+function envName(path) {
+    return "CONFIG_" + path.replace(/([a-z])([A-Z])/g, "$1_$2").replace(/\./g, "_").toUpperCase();
+}
+
+function merge(target, source) {
+    Object.keys(source || {}).forEach(function (key) {
+        let value = source[key];
+        if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+            target[key] = merge(target[key] !== null && typeof target[key] === "object" ? target[key] : {}, value);
+        } else {
+            target[key] = value;
+        }
+    });
+    return target;
+}
+
+function leafPaths(value, prefix = "") {
+    if (value === null || typeof value !== "object" || Array.isArray(value)) {
+        return prefix ? [prefix] : [];
+    }
+    let paths = [];
+    Object.keys(value).forEach(function (key) {
+        paths = paths.concat(leafPaths(value[key], prefix ? `${prefix}.${key}` : key));
+    });
+    return paths;
+}
+
+function getPath(config, path) {
+    return path.split(".").reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), config);
+}
+
+function setPath(config, path, value) {
+    let keys = path.split(".");
+    let target = config;
+    keys.slice(0, -1).forEach(function (key) {
+        if (target[key] === null || typeof target[key] !== "object") {
+            target[key] = {};
+        }
+        target = target[key];
+    });
+    target[keys[keys.length - 1]] = value;
+}
+
+function coerce(value, current) {
+    if (typeof current === "number") {
+        return Number(value);
+    }
+    if (typeof current === "boolean") {
+        return value === "true";
+    }
+    return value;
+}
@@ -0,0 +1,165 @@
+import { check } from "k6";
+import { phaseTags } from "./lifecycle.js";
+import { findBetween } from "./utils.js";
+import { jsonPath } from "./assertions.js";
+import { warn } from "./logger.js";
+import { countError } from "./errors.js";
+
+/**
+ * Declarative correlation: extraction rules write into a context object and
+ * later requests reference the values as ${name}.
+ *
+ * Module state in k6 is per VU, so a context created at module level (or
+ * held by the VU's session) is never shared with other VUs.
+ *
+ * A rule is {name, ...source, required, default} where source is one of:
+ *   left, right          - text between two boundaries
+ *   regex, group         - regular expression, capture group (default 1)
+ *   selector, attribute  - CSS selector on the HTML body; text() when no attribute
+ *   json                 - dot/bracket path on the JSON body, e.g. "[0].photo"
+ *   header               - response header name
+ *   cookie               - response cookie name
+ *
+ * Rules are required unless `required: false`; a missing required value
+ * raises a "correlation <name> found" check tagged with the transaction.
+ */
+
+/**
+ * Applies extraction rules to a response and stores the results in context.
+ *
+ * @param {Object} response - k6 response
+ * @param {Array<Object>} rules - extraction rules, see above
+ * @param {Object} context - per-VU variable store
+ * @param {String} tagname - transaction tag name used for the Checks tag
+ * @returns {Boolean} - false when a required value could not be extracted
+ */
+export function extract(response, rules = [], context, tagname) {
+    let ok = true;
+
+    rules.forEach(function (rule) {
+        let value = extractValue(response, rule);
+
+        if (value === undefined || value === null || value === "") {
+            value = rule.default;
+        }
+
+        if (value === undefined || value === null) {
+            delete context[rule.name];
+            if (rule.required !== false) {
+                correlationFailure(tagname, rule.name);
+                ok = false;
+            }
+            return;
+        }
+
+        context[rule.name] = value;
+    });
+
+    return ok;
+}
+
+/**
+ * Replaces ${name} references in a string, or in every string of an
+ * object/array, with values from context.
+ *
+ * @param {Object} value - string, array or object to substitute into
+ * @param {Object} context - per-VU variable store
+ * @returns {Object} - copy of value with references replaced; unknown references are left as-is
+ */
+export function substitute(value, context) {
+    if (typeof value === "string") {
+        return value.replace(/\$\{([\w.]+)\}/g, (match, name) => (name in context ? String(context[name]) : match));
+    }
+    if (Array.isArray(value)) {
+        return value.map((v) => substitute(v, context));
+    }
+    if (value !== null && typeof value === "object") {
+        let result = {};
+        Object.keys(value).forEach(function (key) {
+            result[key] = substitute(value[key], context);
+        });
+        return result;
+    }
+    return value;
+}
+
+/**
+ * Lists the ${name} references in a value that context cannot resolve.
+ *
+ * @param {Object} value - string, array or object to inspect
+ * @param {Object} context - per-VU variable store
+ * @returns {Array<String>} - unresolved variable names
+ */
+export function unresolved(value, context) {
+    let missing = [];
+    JSON.stringify(value === undefined ? null : value).replace(/\$\{([\w.]+)\}/g, function (match, name) {
+        if (!(name in context) && missing.indexOf(name) == -1) {
+            missing.push(name);
+        }
+    });
+    return missing;
+}
+
+/**
+ * Substitutes context values into a request part, raising a correlation
+ * failure check for every reference that cannot be resolved.
+ *
+ * @param {Object} value - string, array or object to substitute into
+ * @param {Object} context - per-VU variable store
+ * @param {String} tagname - transaction tag name used for the Checks tag
+ * @returns {Object} - {ok, value}; do not send the request when ok is false
+ */
+export function prepare(value, context, tagname) {
+    let missing = unresolved(value, context);
+    missing.forEach((name) => correlationFailure(tagname, name));
+    return { ok: missing.length == 0, value: substitute(value, context) };
+}
+
+/**
+ * Records a failed correlation as a tagged check and an errors_correlation count.
+ *
+ * @param {String} tagname - transaction tag name
+ * @param {String} name - variable that could not be resolved
+ */
+export function correlationFailure(tagname, name) {
+    let sets = {};
+    sets[`correlation ${name} found`] = () => false;
+    check(null, sets, phaseTags({ Checks: tagname, correlation: name }));
+    countError("correlation", tagname);
+    warn(`${tagname} correlation failure: ${name} not found`, { txn: tagname, correlation: name });
+}
+
+function extractValue(response, rule) {
+    let body = typeof response.body === "string" ? response.body : "";
+
+    if (rule.left !== undefined) {
+        return findBetween(body, rule.left, rule.right);
+    }
+    if (rule.regex !== undefined) {
+        let match = new RegExp(rule.regex).exec(body);
+        return match ? match[rule.group === undefined ? 1 : rule.group] : undefined;
+    }
+    if (rule.selector !== undefined) {
+        if (!body) {
+            return undefined;
+        }
+        let element = response.html().find(rule.selector).first();
+        return rule.attribute ? element.attr(rule.attribute) : element.text();
+    }
+    if (rule.json !== undefined) {
+        try {
+            return jsonPath(JSON.parse(body), rule.json).value;
+        } catch (e) {
+            return undefined;
+        }
+    }
+    if (rule.header !== undefined) {
+        let key = Object.keys(response.headers || {}).find((h) => h.toLowerCase() == rule.header.toLowerCase());
+        return key === undefined ? undefined : response.headers[key];
+    }
+    if (rule.cookie !== undefined) {
+        let cookies = (response.cookies || {})[rule.cookie];
+        return cookies && cookies.length ? cookies[0].value : undefined;
+    }
+    throw new Error(`Extraction rule "${rule.name}" has no source (left/right, regex, selector, json, header or cookie)`);
+}
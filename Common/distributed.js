@@ -0,0 +1,79 @@
+/**
+ * Distributed execution: one test split across several k6 instances (pods)
+ * with execution segments, each worker running its share of every scenario.
+ *
+ *   -e WORKERS=4   number of workers the load is split across
+ *   -e WORKER=0    index of this worker, 0 to WORKERS-1; when unset the
+ *                  JOB_COMPLETION_INDEX of an Indexed Kubernetes Job is used
+ *
+ * Worker i runs the segment i/N:(i+1)/N of the sequence 0,1/N,...,1, so
+ * rates, VUs and iterations are divided by k6 itself. Feeders hand each
+ * worker its own slice of the rows, and summaryOutputs writes
+ * <suite>-worker<i>-* files so Tools/merge.mjs can combine them.
+ */
+
+/**
+ * Resolves this instance's place in the run.
+ *
+ * @returns {Object} - {index, count}; count is 1 when the run is not distributed
+ */
+export function worker() {
+    let count = __ENV.WORKERS === undefined ? 1 : Number(__ENV.WORKERS);
+    if (!Number.isInteger(count) || count < 1) {
+        throw new Error(`Invalid WORKERS "${__ENV.WORKERS}", expected a whole number >= 1`);
+    }
+    if (count == 1) {
+        return { index: 0, count: 1 };
+    }
+
+    let value = __ENV.WORKER !== undefined ? __ENV.WORKER : __ENV.JOB_COMPLETION_INDEX;
+    let index = Number(value);
+    if (value === undefined || !Number.isInteger(index) || index < 0 || index >= count) {
+        throw new Error(`Invalid WORKER "${value}", expected 0 to ${count - 1} when WORKERS=${count}`);
+    }
+    return { index: index, count: count };
+}
+
+/**
+ * Tells whether the run is split across workers.
+ *
+ * @returns {Boolean}
+ */
+export function distributed() {
+    return worker().count > 1;
+}
+
+/**
+ * Execution segment options of this worker.
+ *
+ * @returns {Object} - {executionSegment, executionSegmentSequence}, both undefined when not distributed
+ */
+export function segmentOptions() {
+    let w = worker();
+    if (w.count == 1) {
+        return { executionSegment: undefined, executionSegmentSequence: undefined };
+    }
+
+    let point = (i) => (i == 0 ? "0" : i == w.count ? "1" : `${i}/${w.count}`);
+    let sequence = [];
+    for (let i = 0; i <= w.count; i++) {
+        sequence.push(point(i));
+    }
+    return {
+        executionSegment: `${point(w.index)}:${point(w.index + 1)}`,
+        executionSegmentSequence: sequence.join(",")
+    };
+}
+
+/**
+ * The contiguous block of rows this worker owns out of a data set.
+ *
+ * @param {Number} size - total number of rows
+ * @returns {Object} - {offset, size}
+ */
+export function sliceOf(size) {
+    let w = worker();
+    let start = Math.floor((w.index * size) / w.count);
+    let end = Math.floor(((w.index + 1) * size) / w.count);
+    return { offset: start, size: end - start };
+}
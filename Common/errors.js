@@ -0,0 +1,76 @@
+import { Counter } from "k6/metrics";
+import { phaseTags } from "./lifecycle.js";
+
+/**
+ * Error classification for failed transactions.
+ *
+ * A failed response is counted once, in the first class that applies:
+ *   timeout     - the request timed out (k6 error code 1050)
+ *   connection  - no HTTP response: DNS, TCP or TLS errors (status 0)
+ *   5xx         - server error status
+ *   4xx         - client error status
+ *   assertion   - a response arrived but an assertion rule failed
+ *
+ * Correlation failures are counted separately, once per missing value:
+ *   correlation - a value to extract or substitute was missing
+ *
+ * Each class is a counter named errors_<class>, tagged {Errors: <transaction>},
+ * so thresholds can target one transaction, e.g. errors_5xx{Errors:T03_Demo_K6Login}.
+ */
+
+export const errorClasses = ["4xx", "5xx", "timeout", "connection", "assertion", "correlation"];
+
+/**
+ * Threshold buildThresholds registers for every class and transaction that
+ * has no SLA, so the counts reach handleSummary. It can never fail and is left
+ * out of the reported threshold results.
+ */
+export const trackingThreshold = "count >= 0";
+
+const counters = {};
+errorClasses.forEach((name) => (counters[name] = new Counter(`errors_${name}`)));
+
+/**
+ * Works out the class of a failed transaction.
+ *
+ * @param {Object} response - k6 response
+ * @returns {String} - one of errorClasses except correlation
+ */
+export function classify(response) {
+    if (response.error_code == 1050 || /timeout/i.test(response.error || "")) {
+        return "timeout";
+    }
+    if (!response.status) {
+        return "connection";
+    }
+    if (response.status >= 500) {
+        return "5xx";
+    }
+    if (response.status >= 400) {
+        return "4xx";
+    }
+    return "assertion";
+}
+
+/**
+ * Classifies a failed transaction and counts it.
+ *
+ * @param {Object} response - k6 response
+ * @param {String} tagname - transaction tag name used for the Errors tag
+ * @returns {String} - the error class
+ */
+export function recordError(response, tagname) {
+    let errorClass = classify(response);
+    countError(errorClass, tagname);
+    return errorClass;
+}
+
+/**
+ * Counts one error of a known class.
+ *
+ * @param {String} errorClass - one of errorClasses
+ * @param {String} tagname - transaction tag name used for the Errors tag
+ */
+export function countError(errorClass, tagname) {
+    counters[errorClass].add(1, phaseTags({ Errors: tagname }));
+}
@@ -0,0 +1,237 @@
+import { SharedArray } from "k6/data";
+import exec from "k6/execution";
+import { warn } from "./logger.js";
+import { distributed, sliceOf } from "./distributed.js";
+
+/**
+ * Test data feeders backed by SharedArray, so each file is parsed once and
+ * shared read-only between VUs.
+ *
+ * Feeders are declared per environment in config/env.json:
+ *
+ *   "feeders": {
+ *     "users": {"file": "${secret}", "mode": "unique-per-vu", "onExhausted": "recycle"}
+ *   }
+ *
+ * Paths follow the same "../<Suite>/..." convention as the config files so
+ * they resolve the same way from every suite. Files ending in .json must hold
+ * an array of objects; anything else is read as CSV with a header row.
+ *
+ * Files holding credentials are never committed: their "file" is the
+ * "${secret}" placeholder of config.js and the real path comes from the
+ * SECRETS_FILE ({"feeders": {"users": {"file": "/etc/k6-secrets/config/users.csv"}}})
+ * or -e CONFIG_FEEDERS_USERS_FILE=<path>, usually a file of the mounted
+ * config secret. <Suite>/data/users.example.csv shows the columns.
+ *
+ * Allocation modes:
+ *   sequential           - every VU walks the rows in order, one row per iteration
+ *   random               - a random row every iteration
+ *   unique-per-vu        - each VU gets its own row for its whole lifetime
+ *   unique-per-iteration - every iteration in the test gets a different row
+ *
+ * Iteration numbers restart in every scenario, so with several scenarios
+ * (e.g. one per journey, see journeys.js) unique-per-iteration deals the rows
+ * out in turn: scenario k of n takes rows k, k + n, k + 2n, ... A slow
+ * scenario leaves its rows unused, so the data runs out when the busiest
+ * scenario has used its 1/n of the rows.
+ *
+ * When a unique mode runs out of rows, onExhausted decides what happens:
+ *   recycle (default) - wrap around and reuse rows
+ *   stop-vu           - row() returns null and the VU skips its remaining iterations
+ *   abort             - abort the whole test
+ *
+ * In a distributed run (see distributed.js) every worker only uses its own
+ * contiguous slice of the rows, so unique modes stay unique across workers.
+ * Set "slice": false on a feeder whose rows may be shared by every worker.
+ */
+
+const modes = ["sequential", "random", "unique-per-vu", "unique-per-iteration"];
+const exhaustedBehaviours = ["recycle", "stop-vu", "abort"];
+
+/**
+ * Creates a feeder. Must be called in the init context.
+ *
+ * @param {String} name - feeder name, also the SharedArray name
+ * @param {Object} settings - {file, mode, onExhausted, delimiter, slice}
+ * @returns {Object} - feeder exposing row(), size and name
+ */
+export function createFeeder(name, settings) {
+    let mode = settings.mode || "sequential";
+    let onExhausted = settings.onExhausted || "recycle";
+
+    if (modes.indexOf(mode) == -1) {
+        throw new Error(`Feeder "${name}" has unknown mode "${mode}". Valid modes: ${modes.join(", ")}`);
+    }
+    if (exhaustedBehaviours.indexOf(onExhausted) == -1) {
+        throw new Error(`Feeder "${name}" has unknown onExhausted "${onExhausted}". Valid values: ${exhaustedBehaviours.join(", ")}`);
+    }
+
+    let rows = new SharedArray(name, function () {
+        let content = open(settings.file);
+        return /\.json$/i.test(settings.file) ? JSON.parse(content) : parseCsv(content, settings.delimiter);
+    });
+
+    if (rows.length == 0) {
+        throw new Error(`Feeder "${name}" has no rows in ${settings.file}`);
+    }
+
+    let sliced = distributed() && settings.slice !== false;
+    let slice = sliced ? sliceOf(rows.length) : { offset: 0, size: rows.length };
+    if (slice.size == 0) {
+        throw new Error(`Feeder "${name}" has ${rows.length} rows, too few to give every worker a slice; add rows or set "slice": false`);
+    }
+
+    let cache = { iteration: -1, row: null };
+    let sequence = 0;
+    let stopped = false;
+    let lanes = null;
+
+    // every scenario gets its own interleaved share of the rows
+    let lane = function () {
+        if (lanes === null) {
+            lanes = Object.keys(exec.test.options.scenarios || {});
+        }
+        return { index: Math.max(0, lanes.indexOf(exec.scenario.name)), count: Math.max(1, lanes.length) };
+    };
+
+    let pick = function () {
+        switch (mode) {
+            case "random":
+                return Math.floor(Math.random() * slice.size);
+            case "unique-per-vu":
+                return (sliced ? exec.vu.idInInstance : exec.vu.idInTest) - 1;
+            case "unique-per-iteration": {
+                let own = lane();
+                return (sliced ? exec.scenario.iterationInInstance : exec.scenario.iterationInTest) * own.count + own.index;
+            }
+            default:
+                return sequence++;
+        }
+    };
+
+    return {
+        name: name,
+        size: slice.size,
+
+        /**
+         * Returns the row allocated to the current iteration; repeated calls
+         * within one iteration return the same row.
+         *
+         * @returns {Object} - the row, or null once the VU has been stopped
+         */
+        row: function () {
+            if (stopped) {
+                return null;
+            }
+            if (cache.iteration === exec.vu.iterationInInstance) {
+                return cache.row;
+            }
+
+            let index = pick();
+            if (index >= slice.size && mode != "sequential") {
+                if (onExhausted == "abort") {
+                    exec.test.abort(`Feeder "${name}" ran out of data after ${slice.size} rows`);
+                } else if (onExhausted == "stop-vu") {
+                    warn(`Feeder "${name}" ran out of data, VU ${exec.vu.idInTest} stops executing`, { feeder: name });
+                    stopped = true;
+                    return null;
+                }
+            }
+
+            cache = { iteration: exec.vu.iterationInInstance, row: rows[slice.offset + (index % slice.size)] };
+            return cache.row;
+        }
+    };
+}
+
+/**
+ * Creates every feeder declared in an environment's "feeders" block.
+ *
+ * @param {Object} config - map of feeder name to settings
+ * @returns {Object} - map of feeder name to feeder
+ */
+export function createFeeders(config = {}) {
+    let feeders = {};
+    Object.keys(config).forEach(function (name) {
+        feeders[name] = createFeeder(name, config[name]);
+    });
+    return feeders;
+}
+
+/**
+ * Collects the current row of every feeder as substitution values named
+ * "<feeder>.<column>", e.g. ${users.username}.
+ *
+ * @param {Object} feeders - output of createFeeders
+ * @returns {Object} - substitution values, or null when a feeder stopped the VU
+ */
+export function feederValues(feeders) {
+    let values = {};
+    let names = Object.keys(feeders);
+
+    for (let i = 0; i < names.length; i++) {
+        let row = feeders[names[i]].row();
+        if (row === null) {
+            return null;
+        }
+        Object.keys(row).forEach((column) => (values[`${names[i]}.${column}`] = row[column]));
+    }
+    return values;
+}
+
+/**
+ * Parses CSV text with a header row into an array of objects. Supports
+ * quoted fields containing delimiters, quotes ("") and line breaks.
+ *
+ * @param {String} content - CSV text
+ * @param {String} delimiter - field delimiter, "," by default
+ * @returns {Array<Object>} - one object per data row
+ */
+export function parseCsv(content, delimiter = ",") {
+    let records = [];
+    let record = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+        let c = content[i];
+        if (quoted) {
+            if (c == '"' && content[i + 1] == '"') {
+                field += '"';
+                i++;
+            } else if (c == '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c == '"') {
+            quoted = true;
+        } else if (c == delimiter) {
+            record.push(field);
+            field = "";
+        } else if (c == "\n" || c == "\r") {
+            if (c == "\r" && content[i + 1] == "\n") {
+                i++;
+            }
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = "";
+        } else {
+            field += c;
+        }
+    }
+    if (field !== "" || record.length) {
+        record.push(field);
+        records.push(record);
+    }
+
+    records = records.filter((r) => !(r.length == 1 && r[0].trim() === ""));
+    let header = (records.shift() || []).map((h) => h.trim());
+
+    return records.map(function (r) {
+        let row = {};
+        header.forEach((column, i) => (row[column] = r[i] === undefined ? "" : r[i]));
+        return row;
+    });
+}
@@ -0,0 +1,220 @@
+import exec from "k6/execution";
+
+/**
+ * Weighted user journeys.
+ *
+ * Journeys are declared in the suite config with a weight each:
+ *
+ *   "journeys": {
+ *     "browse": {"weight": 70},
+ *     "login":  {"weight": 30}
+ *   }
+ *
+ * and executed in one of two ways, picked with -e JOURNEY_MODE:
+ *   random (default) - every iteration of every scenario draws a journey by weight
+ *   scenarios        - each selected scenario is split into one scenario per journey,
+ *                      named <scenario>_<journey>, with rates and VUs in proportion
+ *                      to the weights
+ *
+ * A journey may also list the transactions it runs ("transactions": [...]);
+ * the runner does not need it, but the test plan uses it to estimate the
+ * request mix. Journeys without a list count as running every transaction.
+ *
+ * Every metric of an iteration carries a journey=<name> tag in both modes.
+ * -e JOURNEY=<name> runs that journey only, handy when debugging one flow.
+ */
+
+const journeyModes = ["random", "scenarios"];
+// the smallest part of each value scale() splits, when the value is not 0
+const splitKeys = { rate: 1, startRate: 0, startVUs: 0, vus: 1, iterations: 1, preAllocatedVUs: 1, maxVUs: 1 };
+
+/**
+ * Creates the journey mix of a suite. Must be called in the init context.
+ *
+ * @param {Object} config - map of journey name to settings, each with a weight
+ * @param {Object} runners - map of journey name to function(settings), or one function(name, settings)
+ * @returns {Object} - {names, weights, select(), execute(), scenarios(selected), mix(transactions, journey)}
+ */
+export function createJourneys(config, runners) {
+    let mode = (__ENV.JOURNEY_MODE || "random").toLowerCase();
+    let names = Object.keys(config || {});
+    let byScenario = {};
+
+    if (journeyModes.indexOf(mode) == -1) {
+        throw new Error(`Unknown JOURNEY_MODE "${__ENV.JOURNEY_MODE}". Valid modes: ${journeyModes.join(", ")}`);
+    }
+    if (names.length == 0) {
+        throw new Error("No journeys configured");
+    }
+    names.forEach(function (name) {
+        let weight = config[name].weight;
+        if (typeof weight !== "number" || weight < 0) {
+            throw new Error(`Journey "${name}" needs a weight >= 0, got ${JSON.stringify(weight)}`);
+        }
+        if (typeof runners !== "function" && typeof runners[name] !== "function") {
+            throw new Error(`Journey "${name}" has no implementation. Implemented journeys: ${Object.keys(runners).join(", ")}`);
+        }
+    });
+    if (__ENV.JOURNEY) {
+        if (names.indexOf(__ENV.JOURNEY) == -1) {
+            throw new Error(`Unknown JOURNEY "${__ENV.JOURNEY}". Valid journeys: ${names.join(", ")}`);
+        }
+        names = [__ENV.JOURNEY];
+    }
+
+    let weights = weightsOf(config, names);
+
+    let select = function () {
+        let scenario = byScenario[exec.scenario.name];
+        if (scenario !== undefined) {
+            return scenario;
+        }
+
+        let draw = Math.random();
+        for (let i = 0; i < names.length; i++) {
+            if (draw < weights[names[i]]) {
+                return names[i];
+            }
+            draw -= weights[names[i]];
+        }
+        return names[names.length - 1];
+    };
+
+    return {
+        names: names,
+        weights: weights,
+
+        /**
+         * Picks the journey of the current iteration: the one its scenario
+         * was built for, otherwise a weighted random draw.
+         *
+         * @returns {String} - journey name
+         */
+        select: select,
+
+        /**
+         * Selects a journey, tags the iteration's metrics with it and runs it.
+         *
+         * @returns {String} - journey name
+         */
+        execute: function () {
+            let name = select();
+            exec.vu.metrics.tags.journey = name;
+            try {
+                if (typeof runners === "function") {
+                    runners(name, config[name]);
+                } else {
+                    runners[name](config[name]);
+                }
+            } finally {
+                delete exec.vu.metrics.tags.journey;
+            }
+            return name;
+        },
+
+        /**
+         * Splits the selected scenarios per journey when JOURNEY_MODE is
+         * "scenarios"; returns them unchanged otherwise.
+         *
+         * @param {Object} selected - output of selectScenarios
+         * @returns {Object} - scenarios to assign to options.scenarios
+         */
+        scenarios: function (selected) {
+            if (mode != "scenarios") {
+                return selected;
+            }
+
+            let split = {};
+            let active = names.filter((name) => weights[name] > 0);
+            Object.keys(selected).forEach(function (scenario) {
+                let parts = scale(selected[scenario], active.map((name) => weights[name]), active);
+                active.forEach(function (name, i) {
+                    split[`${scenario}_${name}`] = parts[i];
+                    byScenario[`${scenario}_${name}`] = name;
+                });
+            });
+            return split;
+        },
+
+        /**
+         * Expected executions of each transaction per iteration.
+         *
+         * @param {Array<String>} transactions - every transaction of the suite
+         * @param {String} journey - one journey, or the weighted mix when omitted
+         * @returns {Object} - map of transaction name to executions per iteration
+         */
+        mix: function (transactions, journey) {
+            let counts = {};
+            transactions.forEach((t) => (counts[t] = 0));
+            (journey ? [journey] : names).forEach(function (name) {
+                let share = journey ? 1 : weights[name];
+                (config[name].transactions || transactions).forEach((t) => (counts[t] = (counts[t] || 0) + share));
+            });
+            return counts;
+        }
+    };
+}
+
+function weightsOf(config, names) {
+    let total = names.reduce((sum, name) => sum + config[name].weight, 0);
+    if (total <= 0) {
+        throw new Error(`Journeys ${names.join(", ")} have no weight`);
+    }
+
+    let weights = {};
+    names.forEach((name) => (weights[name] = config[name].weight / total));
+    return weights;
+}
+
+/**
+ * Splits the load of a scenario into one scenario per journey. Every value is
+ * shared out by the largest remainder so the parts add up to the original;
+ * values a scenario cannot run with at 0 (rate, vus, iterations, VU pools)
+ * keep at least 1 per journey, taken from the largest parts, and only exceed
+ * the original when it is smaller than the number of journeys.
+ *
+ * @param {Object} scenario - k6 scenario
+ * @param {Array<Number>} shares - share of each journey, adding up to 1
+ * @param {Array<String>} names - journey names, tagged on their scenario
+ * @returns {Array<Object>} - one scenario per journey
+ */
+export function scale(scenario, shares, names) {
+    let copies = names.map((name) => Object.assign({}, scenario, { tags: Object.assign({}, scenario.tags, { journey: name }) }));
+
+    Object.keys(splitKeys).forEach(function (key) {
+        if (scenario[key] !== undefined) {
+            apportion(scenario[key], shares, splitKeys[key]).forEach((value, i) => (copies[i][key] = value));
+        }
+    });
+    if (scenario.stages) {
+        copies.forEach((copy) => (copy.stages = []));
+        scenario.stages.forEach(function (stage) {
+            apportion(stage.target, shares, 0).forEach((target, i) => copies[i].stages.push(Object.assign({}, stage, { target: target })));
+        });
+    }
+    return copies;
+}
+
+function apportion(total, shares, minimum) {
+    if (!(total > 0)) {
+        return shares.map(() => total);
+    }
+    let parts = shares.map((share) => Math.floor(total * share));
+    let left = total - parts.reduce((sum, part) => sum + part, 0);
+    shares.map((share, i) => i)
+        .sort((a, b) => (total * shares[b] - parts[b]) - (total * shares[a] - parts[a]) || a - b)
+        .slice(0, left)
+        .forEach((i) => parts[i]++);
+
+    parts.forEach(function (part, i) {
+        if (part >= minimum) {
+            return;
+        }
+        parts[i] = minimum;
+        let largest = parts.indexOf(Math.max(...parts));
+        if (parts[largest] > minimum) {
+            parts[largest]--;
+        }
+    });
+    return parts;
+}
@@ -0,0 +1,201 @@
+import { sleep } from "k6";
+import exec from "k6/execution";
+import { info } from "./logger.js";
+import { toSeconds } from "./scenarios.js";
+import { worker } from "./distributed.js";
+
+/**
+ * Test lifecycle around the scenarios: a pre-flight check in setup(), an
+ * optional warm-up phase and cleanup plus run metadata in teardown().
+ *
+ * Settings come from the "lifecycle" block of the suite config:
+ *
+ *   "lifecycle": {
+ *       "healthCheck": {"path": "/", "status": [200], "retries": 3, "interval": "2s", "timeout": "10s"},
+ *       "warmUp": {"duration": "30s", "vus": 1}
+ *   }
+ *
+ *   healthCheck - request setup() sends before any load; the run is aborted
+ *                 when no attempt answers with one of the statuses; null skips it
+ *   warmUp      - a constant-vus WarmUp scenario running the suite's journeys
+ *                 before the selected scenarios, which start when it ends
+ *
+ *   -e HEALTH_CHECK=false   skip the pre-flight check
+ *   -e WARMUP=30s           warm-up duration, 0 for none (default: the config, none when unset)
+ *   -e WARMUP_VUS=2         VUs of the warm-up scenario
+ *
+ * Suites may also pass a verify(client) hook that checks the credentials
+ * (returning {ok, message, data}) and a cleanup(data, client) hook that
+ * teardown() calls with what verify returned. Neither runs in plan mode.
+ *
+ * Warm-up traffic is kept out of the thresholds by tagging: phaseTags swaps
+ * the transaction tags (RT, TPS, FR, Checks, Errors, Page) for
+ * {phase: "warmup", Warmup: <transaction>}, so no threshold submetric
+ * matches it. The untagged totals (http_reqs, http_req_duration) still
+ * include it. Warm-up iterations draw feeder rows like any other iteration.
+ */
+
+const warmUpScenario = "WarmUp";
+const transactionKeys = ["RT", "TPS", "FR", "Checks", "Errors", "Page"];
+
+/**
+ * Tells whether the current iteration belongs to the warm-up phase.
+ * Always false in the init context, setup() and teardown().
+ *
+ * @returns {Boolean}
+ */
+export function warmingUp() {
+    return __VU > 0 && exec.scenario.name === warmUpScenario;
+}
+
+/**
+ * Tags of a transaction metric sample for the current phase.
+ *
+ * @param {Object} tags - tags as sent outside the warm-up, e.g. {Checks: tagname}
+ * @returns {Object} - the same tags, or their warm-up replacement while warming up
+ */
+export function phaseTags(tags) {
+    if (!warmingUp()) {
+        return tags;
+    }
+    let warm = { phase: "warmup" };
+    Object.keys(tags).forEach(function (key) {
+        if (transactionKeys.indexOf(key) == -1) {
+            warm[key] = tags[key];
+        } else {
+            warm.Warmup = tags[key];
+        }
+    });
+    return warm;
+}
+
+/**
+ * Creates the lifecycle of a suite. Must be called in the init context.
+ *
+ * @param {Object} settings - {suite, env, baseURL, client, config, verify, cleanup, dryRun}
+ *   config  - the "lifecycle" block of the suite config
+ *   verify  - optional credentials check, verify(client) -> {ok, message, data}
+ *   cleanup - optional, cleanup(data, client) with the data verify returned
+ *   dryRun  - true in plan mode, setup() and teardown() then do nothing
+ * @returns {Object} - {warmUp(scenarios), setup(), teardown(data)}
+ */
+export function createLifecycle(settings) {
+    let config = settings.config || {};
+    let health = Object.assign({ path: "/", status: [200], retries: 3, interval: "2s", timeout: "10s" }, config.healthCheck);
+    let warm = config.warmUp || {};
+    let warmDuration = __ENV.WARMUP !== undefined ? __ENV.WARMUP : warm.duration;
+    let warmSeconds = warmDuration && warmDuration !== "0" ? toSeconds(warmDuration) : 0;
+    let warmVUs = __ENV.WARMUP_VUS !== undefined ? Number(__ENV.WARMUP_VUS) : warm.vus || 1;
+    let checkHealth = __ENV.HEALTH_CHECK !== undefined ? __ENV.HEALTH_CHECK != "false" : config.healthCheck !== null;
+
+    if (!Number.isInteger(warmVUs) || warmVUs < 1) {
+        throw new Error(`Invalid WARMUP_VUS "${__ENV.WARMUP_VUS !== undefined ? __ENV.WARMUP_VUS : warm.vus}", expected a whole number >= 1`);
+    }
+
+    let preflight = function () {
+        let attempts = [];
+        for (let attempt = 1; attempt <= health.retries; attempt++) {
+            let response = settings.client.get(health.path, { timeout: health.timeout, tags: { lifecycle: "healthCheck" } });
+            let ok = health.status.indexOf(response.status) != -1;
+            attempts.push(response.status ? `HTTP ${response.status}` : response.error || "no response");
+            if (ok) {
+                return { status: response.status, duration: Math.round(response.timings.duration), attempts: attempt };
+            }
+            if (attempt < health.retries) {
+                sleep(toSeconds(health.interval));
+            }
+        }
+        exec.test.abort(`Pre-flight check failed: GET ${settings.baseURL}${health.path} expected ${health.status.join("/")} ` +
+            `but got ${attempts.join(", ")} in ${health.retries} attempt${health.retries > 1 ? "s" : ""}; is the ${settings.env} environment up?`);
+    };
+
+    return {
+        /**
+         * Adds the WarmUp scenario in front of the selected scenarios and
+         * delays their start by the warm-up duration. Returns the scenarios
+         * unchanged when no warm-up is configured.
+         *
+         * @param {Object} scenarios - the scenarios that would run (options.scenarios)
+         * @returns {Object} - scenarios to assign to options.scenarios
+         */
+        warmUp: function (scenarios) {
+            let names = Object.keys(scenarios);
+            if (warmSeconds == 0 || names.length == 0) {
+                return scenarios;
+            }
+            let phased = {};
+            phased[warmUpScenario] = {
+                executor: "constant-vus",
+                exec: scenarios[names[0]].exec,
+                vus: warmVUs,
+                duration: `${warmSeconds}s`,
+                tags: { phase: "warmup" }
+            };
+            names.forEach(function (name) {
+                let start = scenarios[name].startTime ? toSeconds(scenarios[name].startTime) : 0;
+                phased[name] = Object.assign({}, scenarios[name], { startTime: `${start + warmSeconds}s` });
+            });
+            return phased;
+        },
+
+        /**
+         * setup() of the suite: checks the target is reachable and the
+         * credentials work, aborting the run otherwise.
+         *
+         * @returns {Object} - run metadata passed to every iteration and to teardown()
+         */
+        setup: function () {
+            if (settings.dryRun) {
+                return {};
+            }
+            let data = {
+                suite: settings.suite,
+                env: settings.env,
+                baseURL: settings.baseURL,
+                worker: worker(),
+                startedAt: new Date().toISOString(),
+                warmUp: warmSeconds > 0 ? `${warmSeconds}s x ${warmVUs} VUs` : "none",
+                healthCheck: checkHealth ? preflight() : "skipped",
+                credentials: "not checked"
+            };
+            if (settings.verify) {
+                let verified = settings.verify(settings.client);
+                if (!verified.ok) {
+                    exec.test.abort(`Pre-flight check failed: ${verified.message}`);
+                }
+                data.credentials = verified.message;
+                data.verified = verified.data;
+            }
+            info(`${settings.suite} pre-flight passed against ${settings.baseURL}`, { healthCheck: data.healthCheck, credentials: data.credentials });
+            return data;
+        },
+
+        /**
+         * teardown() of the suite: runs the cleanup hook and logs the run
+         * metadata.
+         *
+         * @param {Object} data - what setup() returned
+         */
+        teardown: function (data) {
+            if (settings.dryRun || !data || !data.startedAt) {
+                return;
+            }
+            if (settings.cleanup) {
+                settings.cleanup(data.verified, settings.client);
+            }
+            let finished = new Date();
+            info(`${settings.suite} run finished`, {
+                env: data.env,
+                baseURL: data.baseURL,
+                worker: `${data.worker.index + 1}/${data.worker.count}`,
+                scenarios: Object.keys(exec.test.options.scenarios || {}).join(","),
+                startedAt: data.startedAt,
+                finishedAt: finished.toISOString(),
+                durationSeconds: Math.round((finished.getTime() - Date.parse(data.startedAt)) / 1000),
+                warmUp: data.warmUp,
+                healthCheck: data.healthCheck,
+                credentials: data.credentials
+            });
+        }
+    };
+}
@@ -0,0 +1,180 @@
+import { redact } from "./config.js";
+
+/**
+ * Structured logging for the suites.
+ *
+ *   -e LOG_LEVEL=info        error, warn, info (default), debug or trace
+ *   -e LOG_FORMAT=json       json (default) or text
+ *   -e LOG_SAMPLE_RATE=0.1   share of debug/trace lines kept, 1 by default
+ *   -e LOG_CAPTURE=failed    log the full request/response of failed transactions
+ *   -e LOG_CAPTURE_MAX_BODY=10000   bodies in captured exchanges are cut to this many characters
+ *
+ * Every line carries the VU, iteration and, when given, the transaction.
+ * k6 cannot write files from VU code, so captured exchanges go to the log
+ * stream like everything else. Jobs made by Tools/jobgen.mjs send that stream
+ * to <RESULTS_DIR>/k6.log, next to the summaries; for a local run add
+ * --log-output=file=results/k6.log to get the same file.
+ */
+
+const levels = { error: 0, warn: 1, info: 2, debug: 3, trace: 4 };
+const sensitiveHeaders = /^(authorization|cookie|set-cookie|proxy-authorization)$/i;
+
+let threshold = levels[(__ENV.LOG_LEVEL || "info").toLowerCase()];
+if (threshold === undefined) {
+    throw new Error(`Unknown LOG_LEVEL "${__ENV.LOG_LEVEL}". Valid levels: ${Object.keys(levels).join(", ")}`);
+}
+let sampleRate = __ENV.LOG_SAMPLE_RATE === undefined ? 1 : Number(__ENV.LOG_SAMPLE_RATE);
+let json = (__ENV.LOG_FORMAT || "json").toLowerCase() != "text";
+let captureMaxBody = Number(__ENV.LOG_CAPTURE_MAX_BODY || 10000);
+
+/**
+ * Tells whether a level is currently logged.
+ *
+ * @param {String} level - error, warn, info, debug or trace
+ * @returns {Boolean}
+ */
+export function enabled(level) {
+    return levels[level] <= threshold;
+}
+
+/**
+ * Writes one log line.
+ *
+ * @param {String} level - error, warn, info, debug or trace
+ * @param {String} message - human readable message
+ * @param {Object} fields - extra fields, e.g. {txn: tagname, status: 500}
+ */
+export function log(level, message, fields = {}) {
+    if (!enabled(level)) {
+        return;
+    }
+    if (levels[level] >= levels.debug && sampleRate < 1 && Math.random() >= sampleRate) {
+        return;
+    }
+
+    let entry = Object.assign({ ts: new Date().toISOString(), level: level, vu: __VU, iter: __ITER, msg: message }, fields);
+    let line;
+    if (json) {
+        line = JSON.stringify(entry);
+    } else {
+        let extra = Object.keys(fields).map((k) => `${k}=${typeof fields[k] === "string" ? fields[k] : JSON.stringify(fields[k])}`);
+        line = [`[${level.toUpperCase()}]`, `vu=${__VU}`, `iter=${__ITER}`, message].concat(extra).join(" ");
+    }
+
+    if (level == "error") {
+        console.error(line);
+    } else if (level == "warn") {
+        console.warn(line);
+    } else {
+        console.log(line);
+    }
+}
+
+export function error(message, fields) {
+    log("error", message, fields);
+}
+
+export function warn(message, fields) {
+    log("warn", message, fields);
+}
+
+export function info(message, fields) {
+    log("info", message, fields);
+}
+
+export function debug(message, fields) {
+    log("debug", message, fields);
+}
+
+export function trace(message, fields) {
+    log("trace", message, fields);
+}
+
+/**
+ * Logs a failed transaction: a warning with the failed checks, the response
+ * body at debug level and, with LOG_CAPTURE=failed, the full exchange.
+ *
+ * @param {Object} response - k6 response
+ * @param {String} tagname - transaction tag name
+ * @param {Array<String>} failed - names of the failed checks
+ */
+export function transactionFailed(response, tagname, failed = []) {
+    warn(`${tagname} failed`, { txn: tagname, status: response.status, url: response.url, failed: failed });
+    debug(`${tagname} response body`, { txn: tagname, body: truncate(response.body) });
+
+    if ((__ENV.LOG_CAPTURE || "").toLowerCase() == "failed") {
+        exchange(response, tagname);
+    }
+}
+
+/**
+ * Logs the full request/response pair behind a response, with credentials
+ * and cookies redacted.
+ *
+ * @param {Object} response - k6 response
+ * @param {String} tagname - transaction tag name
+ */
+export function exchange(response, tagname) {
+    let request = response.request || {};
+    let entry = {
+        ts: new Date().toISOString(),
+        level: "error",
+        type: "exchange",
+        vu: __VU,
+        iter: __ITER,
+        txn: tagname,
+        request: {
+            method: request.method,
+            url: request.url,
+            headers: redactHeaders(request.headers),
+            body: truncate(redactBody(request.body))
+        },
+        response: {
+            status: response.status,
+            error: response.error,
+            duration: response.timings ? response.timings.duration : undefined,
+            headers: redactHeaders(response.headers),
+            body: truncate(response.body)
+        }
+    };
+    console.error(JSON.stringify(entry));
+}
+
+function redactHeaders(headers = {}) {
+    let copy = {};
+    Object.keys(headers).forEach((name) => (copy[name] = sensitiveHeaders.test(name) ? "***" : headers[name]));
+    return copy;
+}
+
+function redactBody(body) {
+    if (typeof body !== "string") {
+        return body;
+    }
+    if (/^\s*[{[]/.test(body)) {
+        try {
+            return JSON.stringify(redact(JSON.parse(body)));
+        } catch (e) {
+            return body;
+        }
+    }
+    return body.replace(/((?:^|&)[^=&]*(?:pass(?:word)?|secret|token)[^=&]*=)[^&]*/gi, "$1***");
+}
+
+function truncate(value) {
+    if (typeof value !== "string" || value.length <= captureMaxBody) {
+        return value;
+    }
+    return value.substring(0, captureMaxBody) + `... (${value.length - captureMaxBody} more characters)`;
+}
+
+export default Object.freeze({
+    enabled,
+    log,
+    error,
+    warn,
+    info,
+    debug,
+    trace,
+    transactionFailed,
+    exchange
+});
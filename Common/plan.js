@@ -0,0 +1,266 @@
+import { toSeconds } from "./scenarios.js";
+import { resolveSla } from "./thresholds.js";
+import { trackingThreshold } from "./errors.js";
+import { planCapacity, capacityText } from "./capacity.js";
+
+/**
+ * Test plan: what a run is going to do, worked out from the resolved
+ * options before any traffic is sent.
+ *
+ *   -e PLAN=true          print the plan and exit; the target is never called
+ *   -e PLAN_LATENCY=250   assumed response time in ms for every transaction
+ *                         (default: the measured avg when the suite passes a
+ *                         previous summary, otherwise the transaction's p95 SLA)
+ *
+ * The plan is always validated, so a broken configuration such as a missing
+ * STEADYSTATE fails at init with every problem listed, in plan mode or not.
+ *
+ * Iteration length is estimated as the sum, over the transactions an
+ * iteration runs, of response time plus average think time (at least the
+ * pacing). VUs needed then follow from Little's law: rate x iteration length;
+ * capacity.js turns them into VU and memory recommendations.
+ */
+
+const thresholdExpression = /^\s*(avg|min|max|med|p\(\d+(\.\d+)?\)|rate|count|value)\s*(<|<=|>|>=|==|===|!=)\s*-?\d+(\.\d+)?\s*$/;
+
+/**
+ * Tells whether the run is a dry run.
+ *
+ * @returns {Boolean}
+ */
+export function planMode() {
+    return __ENV.PLAN === "true";
+}
+
+/**
+ * The scenario that replaces the real ones in plan mode: one iteration of
+ * the no-op plan function, so k6 starts, reaches handleSummary and exits.
+ *
+ * @returns {Object} - scenarios to assign to options.scenarios
+ */
+export function planScenarios() {
+    return { Plan: { executor: "shared-iterations", exec: "plan", vus: 1, iterations: 1 } };
+}
+
+/**
+ * Exec function of the plan scenario. Main scripts re-export it.
+ */
+export function plan() {}
+
+/**
+ * Resolves the plan of a run.
+ *
+ * @param {Object} scenarios - the scenarios that would run (options.scenarios)
+ * @param {Object} settings - {transactions, thresholds, sla, env, thinkTime, journeys, measured}
+ *   transactions - transaction names
+ *   thresholds   - options.thresholds
+ *   sla, env     - used for the assumed response time
+ *   thinkTime    - output of createThinkTime
+ *   journeys     - output of createJourneys (optional)
+ *   measured     - summary JSON of a previous run, its avg latencies win over the SLA (optional)
+ * @returns {Object} - {scenarios, transactions, duration, peakRate, iterations, thresholds, capacity, problems}
+ */
+export function buildPlan(scenarios, settings) {
+    let problems = [];
+    let names = Object.keys(scenarios || {});
+    if (names.length == 0) {
+        problems.push("No scenarios selected");
+    }
+
+    let latency = function (name) {
+        if (__ENV.PLAN_LATENCY !== undefined) {
+            return Number(__ENV.PLAN_LATENCY);
+        }
+        let measured = settings.measured && settings.measured.transactions[name];
+        if (measured && typeof measured.avg === "number") {
+            return measured.avg;
+        }
+        let p95 = resolveSla(name, settings.sla, settings.env).p95;
+        return typeof p95 === "number" ? p95 : 0;
+    };
+
+    let mixOf = function (journey) {
+        if (settings.journeys) {
+            return settings.journeys.mix(settings.transactions, journey);
+        }
+        let mix = {};
+        settings.transactions.forEach((t) => (mix[t] = 1));
+        return mix;
+    };
+
+    let iterationSeconds = function (mix) {
+        let seconds = Object.keys(mix).reduce((sum, t) => sum + mix[t] * (latency(t) / 1000 + settings.thinkTime.mean(t)), 0);
+        return Math.max(seconds, settings.thinkTime.pacing || 0);
+    };
+
+    let requests = {};
+    settings.transactions.forEach((t) => (requests[t] = 0));
+
+    let planned = names.map(function (name) {
+        let scenario = scenarios[name];
+        let journey = scenario.tags && scenario.tags.journey;
+        let mix = mixOf(journey);
+        let result = scenarioPlan(name, scenario, iterationSeconds(mix), problems);
+        Object.keys(mix).forEach((t) => (requests[t] = (requests[t] || 0) + mix[t] * result.iterations));
+        return result;
+    });
+
+    let thresholds = Object.keys(settings.thresholds || {}).map(function (metric) {
+        return { metric: metric, expressions: [].concat(settings.thresholds[metric]).map((t) => (typeof t === "string" ? t : t.threshold)) };
+    }).filter((t) => t.expressions.some((e) => e != trackingThreshold));
+    thresholds.forEach(function (t) {
+        t.expressions.filter((e) => !thresholdExpression.test(e)).forEach((e) => problems.push(`Threshold "${e}" on ${t.metric} is not valid`));
+    });
+
+    return {
+        scenarios: planned,
+        transactions: settings.transactions.map((t) => ({ name: t, requests: Math.round(requests[t]), assumedLatency: Math.round(latency(t)) })),
+        duration: planned.reduce((max, s) => Math.max(max, s.end), 0),
+        peakRate: planned.reduce((sum, s) => sum + s.peakRate, 0),
+        iterations: Math.round(planned.reduce((sum, s) => sum + s.iterations, 0)),
+        thresholds: thresholds,
+        capacity: planCapacity(scenarios || {}, planned),
+        problems: problems
+    };
+}
+
+/**
+ * Throws when the plan has problems, listing all of them.
+ *
+ * @param {Object} plan - output of buildPlan
+ */
+export function validatePlan(plan) {
+    if (plan.problems.length) {
+        throw new Error(`Invalid test plan:\n  - ${plan.problems.join("\n  - ")}`);
+    }
+}
+
+/**
+ * Renders the plan for the console.
+ *
+ * @param {Object} plan - output of buildPlan
+ * @param {Object} run - {suite, env}
+ * @returns {String} - plan text
+ */
+export function planText(plan, run) {
+    let line = (cols, widths) => cols.map((c, i) => (i == 0 ? String(c).padEnd(widths[i]) : String(c).padStart(widths[i]))).join(" ");
+    let lines = [
+        "",
+        `     test plan for ${run.suite}, env ${run.env} (dry run, no requests sent)`,
+        "",
+        `     total duration ${formatSeconds(plan.duration)}, peak arrival rate ${plan.peakRate.toFixed(2)} it/s, ~${plan.iterations} iterations`,
+        "",
+        "     " + line(["Scenario", "Executor", "Start", "Duration", "Peak it/s", "Iterations", "Iter len", "VUs needed", "VUs config"], [28, 22, 8, 10, 10, 11, 9, 11, 11])
+    ];
+    plan.scenarios.forEach(function (s) {
+        lines.push("     " + line([
+            s.name, s.executor, formatSeconds(s.start), formatSeconds(s.duration), s.peakRate.toFixed(2), Math.round(s.iterations),
+            `${s.iterationSeconds.toFixed(1)}s`, s.requiredVUs, s.configuredVUs
+        ], [28, 22, 8, 10, 10, 11, 9, 11, 11]));
+        s.warnings.forEach((w) => lines.push(`       ! ${w}`));
+    });
+
+    lines.push("", "     " + line(["Transaction", "Requests", "Assumed ms"], [28, 12, 12]));
+    plan.transactions.forEach((t) => lines.push("     " + line([t.name, t.requests, t.assumedLatency], [28, 12, 12])));
+
+    lines.push("", "     thresholds");
+    plan.thresholds.forEach((t) => lines.push(`       ${t.metric}: ${t.expressions.join(", ")}`));
+
+    return lines.join("\n") + "\n" + capacityText(plan.capacity);
+}
+
+/**
+ * handleSummary output in plan mode: the plan on stdout and as JSON under
+ * RESULTS_DIR (default "results").
+ *
+ * @param {Object} plan - output of buildPlan
+ * @param {Object} run - {suite, env}
+ * @returns {Object} - map of output destination to content
+ */
+export function planOutputs(plan, run) {
+    let outputs = { stdout: planText(plan, run) };
+    outputs[`${__ENV.RESULTS_DIR || "results"}/${run.suite}-plan.json`] = JSON.stringify(Object.assign({ suite: run.suite, env: run.env }, plan), null, 2);
+    return outputs;
+}
+
+function scenarioPlan(name, scenario, iterationSeconds, problems) {
+    let seconds = function (value, what) {
+        try {
+            return toSeconds(value);
+        } catch (e) {
+            problems.push(`Scenario ${name}: ${what} is "${value}", expected a duration such as 30s or 3m (is STEADYSTATE set?)`);
+            return 0;
+        }
+    };
+
+    let result = {
+        name: name,
+        executor: scenario.executor,
+        start: scenario.startTime ? seconds(scenario.startTime, "startTime") : 0,
+        duration: 0,
+        peakRate: 0,
+        iterations: 0,
+        iterationSeconds: iterationSeconds,
+        requiredVUs: 0,
+        configuredVUs: "-",
+        warnings: []
+    };
+    let stages = (scenario.stages || []).map((stage, i) => ({ seconds: seconds(stage.duration, `stage ${i + 1} duration`), target: stage.target }));
+    let unit = scenario.timeUnit ? seconds(scenario.timeUnit, "timeUnit") || 1 : 1;
+
+    switch (scenario.executor) {
+        case "ramping-arrival-rate":
+        case "constant-arrival-rate": {
+            let rates = scenario.executor == "constant-arrival-rate"
+                ? [{ seconds: seconds(scenario.duration, "duration"), from: scenario.rate, to: scenario.rate }]
+                : stages.map((stage, i) => ({ seconds: stage.seconds, from: i == 0 ? scenario.startRate || 0 : stages[i - 1].target, to: stage.target }));
+            result.duration = rates.reduce((sum, r) => sum + r.seconds, 0);
+            result.peakRate = rates.reduce((max, r) => Math.max(max, r.from, r.to), 0) / unit;
+            result.iterations = rates.reduce((sum, r) => sum + ((r.from + r.to) / 2) * (r.seconds / unit), 0);
+            result.requiredVUs = Math.ceil(result.peakRate * iterationSeconds);
+            result.configuredVUs = `${scenario.preAllocatedVUs}/${scenario.maxVUs}`;
+            if (scenario.preAllocatedVUs > scenario.maxVUs) {
+                problems.push(`Scenario ${name}: preAllocatedVUs ${scenario.preAllocatedVUs} is above maxVUs ${scenario.maxVUs}`);
+            }
+            break;
+        }
+        case "ramping-vus":
+        case "constant-vus": {
+            let levels = scenario.executor == "constant-vus"
+                ? [{ seconds: seconds(scenario.duration, "duration"), from: scenario.vus, to: scenario.vus }]
+                : stages.map((stage, i) => ({ seconds: stage.seconds, from: i == 0 ? scenario.startVUs || 0 : stages[i - 1].target, to: stage.target }));
+            let peak = levels.reduce((max, l) => Math.max(max, l.from, l.to), 0);
+            result.duration = levels.reduce((sum, l) => sum + l.seconds, 0);
+            result.peakRate = iterationSeconds > 0 ? peak / iterationSeconds : 0;
+            result.iterations = iterationSeconds > 0 ? levels.reduce((sum, l) => sum + ((l.from + l.to) / 2) * l.seconds, 0) / iterationSeconds : 0;
+            result.requiredVUs = peak;
+            result.configuredVUs = String(peak);
+            break;
+        }
+        default: {
+            let vus = scenario.vus || 1;
+            result.iterations = scenario.executor == "per-vu-iterations" ? vus * (scenario.iterations || 1) : scenario.iterations || 1;
+            result.duration = Math.min(Math.ceil(result.iterations / vus) * iterationSeconds, scenario.maxDuration ? seconds(scenario.maxDuration, "maxDuration") : Infinity);
+            result.peakRate = iterationSeconds > 0 ? vus / iterationSeconds : 0;
+            result.requiredVUs = vus;
+            result.configuredVUs = String(vus);
+        }
+    }
+
+    if (scenario.stages && stages.length == 0) {
+        problems.push(`Scenario ${name} has no stages (is STEADYSTATE set?)`);
+    }
+    if (result.iterations <= 0 && problems.length == 0) {
+        result.warnings.push("never starts an iteration");
+    }
+    result.end = result.start + result.duration;
+    return result;
+}
+
+function formatSeconds(value) {
+    let total = Math.round(value);
+    let h = Math.floor(total / 3600);
+    let m = Math.floor((total % 3600) / 60);
+    let s = total % 60;
+    return (h ? `${h}h` : "") + (m ? `${m}m` : "") + (s || (!h && !m) ? `${s}s` : "");
+}
@@ -0,0 +1,225 @@
+import http from "k6/http";
+import { Counter, Trend } from "k6/metrics";
+import { debug } from "./logger.js";
+import { phaseTags } from "./lifecycle.js";
+
+/**
+ * Embedded resources of page transactions: the stylesheets, scripts, images
+ * and icons a browser loads after the HTML document.
+ *
+ * Settings come from the "resources" block of the suite config:
+ *
+ *   "resources": {"enabled": false, "connections": 6, "cache": true, "exclude": ["google-analytics"]}
+ *
+ *   enabled     - fetch the resources of page transactions
+ *   connections - parallel connections per host, as a browser opens (k6 batchPerHost)
+ *   cache       - keep a per-VU cache across iterations: fresh resources (Cache-Control
+ *                 max-age, Expires) are not requested again, stale ones are revalidated
+ *                 with If-None-Match / If-Modified-Since
+ *   exclude     - regular expressions, matching resource URLs are never fetched
+ *
+ * -e RESOURCES=true|false and -e RESOURCE_CACHE=true|false override the
+ * config for a single run.
+ *
+ * Resource requests carry {Page: <transaction>} instead of the transaction
+ * tags, so http_req_duration{RT:<name>} stays the document time. The full
+ * page time, document plus resources, goes to page_duration{Page:<name>};
+ * the "pageP95" SLA key puts a threshold on it.
+ */
+
+const pageDuration = new Trend("page_duration", true);
+const pageResources = new Counter("page_resources");
+
+const embedded = [
+    { selector: "link[rel=stylesheet][href]", attribute: "href" },
+    { selector: "link[rel~=icon][href]", attribute: "href" },
+    { selector: "script[src]", attribute: "src" },
+    { selector: "img[src]", attribute: "src" },
+    { selector: "source[src]", attribute: "src" }
+];
+
+/**
+ * Creates the resource loader of a suite. Must be called in the init
+ * context; the returned object keeps the cache of its VU.
+ *
+ * @param {Object} client - output of createClient, supplies the request headers
+ * @param {Object} settings - {enabled, connections, cache, exclude}
+ * @returns {Object} - {enabled, connections, load(response, tagname)}
+ */
+export function createResources(client, settings = {}) {
+    let enabled = __ENV.RESOURCES !== undefined ? __ENV.RESOURCES == "true" : settings.enabled === true;
+    let caching = __ENV.RESOURCE_CACHE !== undefined ? __ENV.RESOURCE_CACHE == "true" : settings.cache !== false;
+    let connections = settings.connections || 6;
+    let exclude = (settings.exclude || []).map((pattern) => new RegExp(pattern));
+    let cache = {};
+
+    if (!Number.isInteger(connections) || connections < 1) {
+        throw new Error(`Invalid resources.connections "${settings.connections}", expected a whole number >= 1`);
+    }
+
+    return {
+        enabled: enabled,
+        connections: connections,
+
+        /**
+         * Fetches the resources embedded in a page and records the full page
+         * time. Does nothing when resources are disabled or the document is
+         * not a successful HTML response.
+         *
+         * @param {Object} response - k6 response of the HTML document
+         * @param {String} tagname - transaction tag name
+         * @returns {Number} - full page time in ms, undefined when nothing was recorded
+         */
+        load: function (response, tagname) {
+            if (!enabled || response.status != 200 || !/html/i.test(response.headers["Content-Type"] || "")) {
+                return undefined;
+            }
+
+            let now = Date.now();
+            let urls = resourceUrls(response).filter((url) => !exclude.some((pattern) => pattern.test(url)));
+            let fresh = urls.filter((url) => caching && cache[url] && cache[url].expires > now);
+            let requests = urls.filter((url) => fresh.indexOf(url) == -1).map(function (url) {
+                let host = hostOf(url);
+                let extra = {
+                    "Host": host,
+                    "Referer": response.url,
+                    "Sec-Fetch-Dest": destination(url),
+                    "Sec-Fetch-Mode": "no-cors",
+                    "Sec-Fetch-Site": host == hostOf(response.url) ? "same-origin" : "cross-site"
+                };
+                if (caching && cache[url]) {
+                    if (cache[url].etag) {
+                        extra["If-None-Match"] = cache[url].etag;
+                    }
+                    if (cache[url].lastModified) {
+                        extra["If-Modified-Since"] = cache[url].lastModified;
+                    }
+                }
+                return { method: "GET", url: url, params: { headers: client.headers("GET", undefined, extra), tags: phaseTags({ Page: tagname }) } };
+            });
+
+            let started = Date.now();
+            let responses = requests.length ? http.batch(requests) : [];
+            let elapsed = Date.now() - started;
+
+            responses.forEach(function (r, i) {
+                let url = requests[i].url;
+                if (r.status == 304 && cache[url]) {
+                    cache[url].expires = expiry(r, Date.now());
+                } else if (r.status == 200 && caching) {
+                    remember(cache, url, r);
+                } else if (r.status >= 400 || r.status == 0) {
+                    debug(`Resource of ${tagname} failed`, { txn: tagname, url: url, status: r.status });
+                }
+            });
+
+            let total = response.timings.duration + elapsed;
+            pageDuration.add(total, phaseTags({ Page: tagname }));
+            pageResources.add(requests.length, phaseTags({ Page: tagname, cached: "false" }));
+            pageResources.add(fresh.length, phaseTags({ Page: tagname, cached: "true" }));
+            return total;
+        }
+    };
+}
+
+/**
+ * Lists the absolute URLs of the resources embedded in an HTML response,
+ * without duplicates.
+ *
+ * @param {Object} response - k6 response of the HTML document
+ * @returns {Array<String>} - resource URLs
+ */
+export function resourceUrls(response) {
+    let doc = response.html();
+    let urls = [];
+    embedded.forEach(function (e) {
+        doc.find(e.selector).toArray().forEach(function (element) {
+            let url = resolveUrl(response.url, element.attr(e.attribute));
+            if (url && urls.indexOf(url) == -1) {
+                urls.push(url);
+            }
+        });
+    });
+    return urls;
+}
+
+/**
+ * Resolves a reference found in a page against the page URL.
+ *
+ * @param {String} base - absolute URL of the page
+ * @param {String} reference - href or src value
+ * @returns {String} - absolute URL without fragment, null for data:, blob: and javascript: references
+ */
+export function resolveUrl(base, reference) {
+    let ref = (reference || "").trim().replace(/#.*$/, "");
+    if (!ref || /^(data|blob|javascript|about):/i.test(ref)) {
+        return null;
+    }
+    if (/^https?:\/\//i.test(ref)) {
+        return ref;
+    }
+
+    let match = /^(https?:)\/\/([^/?#]+)([^?#]*)/i.exec(base);
+    if (ref.indexOf("//") == 0) {
+        return match[1] + ref;
+    }
+    if (ref[0] == "/") {
+        return `${match[1]}//${match[2]}${ref}`;
+    }
+
+    let segments = match[3].split("/").slice(0, -1).concat(ref.split("?")[0].split("/"));
+    let resolved = [];
+    segments.forEach(function (segment) {
+        if (segment == "..") {
+            if (resolved.length > 1) {
+                resolved.pop();
+            }
+        } else if (segment != ".") {
+            resolved.push(segment);
+        }
+    });
+    let query = ref.indexOf("?") == -1 ? "" : ref.slice(ref.indexOf("?"));
+    return `${match[1]}//${match[2]}${resolved.join("/").replace(/^(?!\/)/, "/")}${query}`;
+}
+
+function remember(cache, url, response) {
+    let control = response.headers["Cache-Control"] || "";
+    if (/no-store/i.test(control)) {
+        delete cache[url];
+        return;
+    }
+    cache[url] = {
+        etag: response.headers["Etag"] || response.headers["ETag"],
+        lastModified: response.headers["Last-Modified"],
+        expires: expiry(response, Date.now())
+    };
+}
+
+// when a cached copy stops being fresh: max-age, then Expires, otherwise revalidate every time
+function expiry(response, now) {
+    let control = response.headers["Cache-Control"] || "";
+    if (/no-cache/i.test(control)) {
+        return 0;
+    }
+    let maxAge = /max-age=(\d+)/i.exec(control);
+    if (maxAge) {
+        return now + Number(maxAge[1]) * 1000;
+    }
+    let expires = Date.parse(response.headers["Expires"] || "");
+    return isNaN(expires) ? 0 : expires;
+}
+
+function hostOf(url) {
+    return /^https?:\/\/([^/?#]+)/i.exec(url)[1];
+}
+
+function destination(url) {
+    let path = url.split("?")[0];
+    if (/\.css$/i.test(path)) {
+        return "style";
+    }
+    if (/\.m?js$/i.test(path)) {
+        return "script";
+    }
+    return "image";
+}
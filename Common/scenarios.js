@@ -0,0 +1,184 @@
+import { normalDistributionStages } from "./utils.js";
+
+/**
+ * Shared load profiles for every service suite.
+ *
+ * Each profile is parameterised through __ENV so all suites are driven the same way:
+ *   -e scenario=StressTest       profile(s) to run, comma separated (default: LoadTest,SingleUser)
+ *   -e TARGET=200                target arrival rate (iterations per TIMEUNIT)
+ *   -e STARTRATE=1               arrival rate every ramping profile starts from
+ *   -e STARTTARGET=1             rate reached at the end of the ramp-up stage (LoadTest)
+ *   -e TIMEUNIT=0.1s             time unit of the arrival rate
+ *   -e RAMPUP=10s                ramp time used between load levels
+ *   -e STEADYSTATE=3m            hold time at each load level
+ *   -e PREALLOCATEDVUS=1         VUs allocated before the test starts
+ *   -e MAXVUS=150                upper bound of VUs the executor may allocate
+ *
+ * Suites pass their own defaults for any value not supplied on the command line.
+ */
+
+const defaultSelection = ["LoadTest", "SingleUser"];
+
+/**
+ * Names of the profiles buildScenarios builds, kept in scenarios.json so
+ * tools outside k6 (Tools/jobgen.mjs) validate against the same list.
+ */
+export const scenarioNames = JSON.parse(open("../Common/scenarios.json"));
+
+/**
+ * Reads the profile knobs from __ENV, falling back to the suite defaults.
+ *
+ * @param {Object} defaults - suite specific defaults, same keys as the returned object
+ * @param {Object} env - environment variables, __ENV by default
+ * @returns {Object} - resolved load profile settings
+ */
+export function loadSettings(defaults = {}, env = __ENV) {
+    let target = numberOr(env.TARGET, defaults.target || 1);
+
+    return {
+        target: target,
+        startRate: numberOr(env.STARTRATE, defaults.startRate !== undefined ? defaults.startRate : 1),
+        startTarget: numberOr(env.STARTTARGET, defaults.startTarget !== undefined ? defaults.startTarget : target),
+        timeUnit: env.TIMEUNIT || defaults.timeUnit || "1s",
+        rampUp: env.RAMPUP || defaults.rampUp || "10s",
+        hold: env.STEADYSTATE || defaults.hold,
+        preAllocatedVUs: numberOr(env.PREALLOCATEDVUS, defaults.preAllocatedVUs || 1),
+        maxVUs: numberOr(env.MAXVUS, defaults.maxVUs || 100)
+    };
+}
+
+/**
+ * Builds every available load profile for a suite.
+ *
+ * @param {String} exec - name of the exported function each scenario runs
+ * @param {Object} defaults - suite specific defaults, see loadSettings
+ * @param {Object} env - environment variables, __ENV by default
+ * @returns {Object} - map of profile name to k6 scenario definition
+ */
+export function buildScenarios(exec, defaults = {}, env = __ENV) {
+    let s = loadSettings(defaults, env);
+
+    let arrivalRate = function (stages) {
+        return {
+            executor: "ramping-arrival-rate",
+            exec: exec,
+            startRate: s.startRate,
+            timeUnit: s.timeUnit,
+            preAllocatedVUs: s.preAllocatedVUs,
+            maxVUs: s.maxVUs,
+            stages: stages
+        };
+    };
+
+    let profiles = {
+        LoadTest: arrivalRate([
+            { target: s.startTarget, duration: s.rampUp },
+            { target: s.target, duration: s.hold }
+        ]),
+
+        // Steps the load up to twice the target, holding at every level, then recovers.
+        StressTest: arrivalRate([
+            { target: Math.ceil(s.target * 0.5), duration: s.rampUp },
+            { target: Math.ceil(s.target * 0.5), duration: s.hold },
+            { target: s.target, duration: s.rampUp },
+            { target: s.target, duration: s.hold },
+            { target: Math.ceil(s.target * 1.5), duration: s.rampUp },
+            { target: Math.ceil(s.target * 1.5), duration: s.hold },
+            { target: s.target * 2, duration: s.rampUp },
+            { target: s.target * 2, duration: s.hold },
+            { target: 0, duration: s.rampUp }
+        ]),
+
+        // Runs at 10% of the target, jumps to the target almost instantly and falls back.
+        SpikeTest: arrivalRate([
+            { target: Math.ceil(s.target * 0.1), duration: s.rampUp },
+            { target: Math.ceil(s.target * 0.1), duration: s.hold },
+            { target: s.target, duration: "10s" },
+            { target: s.target, duration: s.hold },
+            { target: Math.ceil(s.target * 0.1), duration: "10s" },
+            { target: Math.ceil(s.target * 0.1), duration: s.hold },
+            { target: 0, duration: s.rampUp }
+        ]),
+
+        // Holds 80% of the target for a long period to surface leaks and degradation.
+        SoakTest: arrivalRate([
+            { target: Math.ceil(s.target * 0.8), duration: s.rampUp },
+            { target: Math.ceil(s.target * 0.8), duration: s.hold },
+            { target: 0, duration: s.rampUp }
+        ]),
+
+        // Keeps increasing the rate until a threshold is crossed; selecting it
+        // turns abortOnFail on for every threshold (see abortAtBreakpoint).
+        BreakpointTest: arrivalRate([
+            { target: s.target * 3, duration: s.hold }
+        ]),
+
+        BellCurve: {
+            executor: "ramping-vus",
+            exec: exec,
+            startVUs: 0,
+            stages: s.hold ? normalDistributionStages(s.maxVUs, toSeconds(s.hold), 10) : []
+        },
+
+        SingleUser: {
+            executor: "shared-iterations",
+            exec: exec,
+            vus: 1,
+            iterations: 1,
+            maxDuration: "30s"
+        }
+    };
+
+    if (Object.keys(profiles).join(",") != scenarioNames.join(",")) {
+        throw new Error(`Common/scenarios.json lists ${scenarioNames.join(", ")} but the profiles are ${Object.keys(profiles).join(", ")}`);
+    }
+    return profiles;
+}
+
+/**
+ * Picks the profiles named in `selection` (comma separated) out of the
+ * profiles built by buildScenarios.
+ *
+ * @param {Object} perfscenarios - output of buildScenarios
+ * @param {String} selection - e.g. "LoadTest" or "SpikeTest,SingleUser"
+ * @returns {Object} - scenarios to assign to options.scenarios
+ */
+export function selectScenarios(perfscenarios, selection) {
+    let names = selection ? selection.split(",").map((n) => n.trim()) : defaultSelection;
+    let scenarios = {};
+
+    names.forEach(function (name) {
+        if (!perfscenarios[name]) {
+            throw new Error(`Unknown scenario "${name}". Valid scenarios: ${Object.keys(perfscenarios).join(", ")}`);
+        }
+        scenarios[name] = perfscenarios[name];
+    });
+
+    return scenarios;
+}
+
+/**
+ * Converts a k6 duration string such as "1h30m", "3m" or "45s" to seconds.
+ *
+ * @param {String} duration - k6 duration string
+ * @returns {Number} - duration in seconds
+ */
+export function toSeconds(duration) {
+    let units = { ms: 0.001, s: 1, m: 60, h: 3600 };
+    let total = 0;
+    let matched = false;
+
+    String(duration).replace(/(\d+(?:\.\d+)?)(ms|s|m|h)/g, function (_, value, unit) {
+        total += parseFloat(value) * units[unit];
+        matched = true;
+    });
+
+    if (!matched) {
+        throw new Error(`Invalid duration "${duration}", expected a value such as 30s, 3m or 1h`);
+    }
+    return total;
+}
+
+function numberOr(value, fallback) {
+    return value === undefined || value === "" ? fallback : Number(value);
+}
@@ -0,0 +1,95 @@
+import http from "k6/http";
+
+/**
+ * Per-VU session state for journeys that log in.
+ *
+ * A session holds the logged-in flag, the user identity, the correlation
+ * context (CSRF tokens and other extracted values) and the cookies captured
+ * after login. Module state in k6 is per VU, so a session created at module
+ * level belongs to exactly one VU.
+ *
+ * Session lifetime is controlled with -e SESSION_ITERATIONS:
+ *   1 (default) - start a fresh session every iteration
+ *   n           - keep the session for n iterations, then log out and renew
+ *   0           - keep the session for the lifetime of the VU
+ *
+ * Keeping sessions across iterations requires noCookiesReset: true in the
+ * options, otherwise k6 empties the cookie jar at every iteration.
+ */
+
+/**
+ * Creates an empty session.
+ *
+ * @param {Object} settings - {maxIterations}; defaults to SESSION_ITERATIONS or 1
+ * @returns {Object} - session
+ */
+export function createSession(settings = {}) {
+    let maxIterations = settings.maxIterations;
+    if (maxIterations === undefined) {
+        maxIterations = __ENV.SESSION_ITERATIONS === undefined ? 1 : Number(__ENV.SESSION_ITERATIONS);
+    }
+
+    return {
+        maxIterations: maxIterations,
+        iterations: 0,
+        loggedIn: false,
+        user: null,
+        vars: {},
+        cookies: {}
+    };
+}
+
+/**
+ * Marks the start of an iteration, renewing the session when its previous
+ * iteration was its last one.
+ *
+ * @param {Object} session - session from createSession
+ * @param {String} url - base URL whose cookies belong to the session
+ * @returns {Object} - the same session
+ */
+export function startIteration(session, url) {
+    if (session.iterations > 0 && session.maxIterations > 0 && session.iterations >= session.maxIterations) {
+        resetSession(session, url);
+    }
+    session.iterations++;
+    return session;
+}
+
+/**
+ * Tells whether the current iteration is the last one of the session, i.e.
+ * the journey should log out before the iteration ends.
+ *
+ * @param {Object} session - session from createSession
+ * @returns {Boolean}
+ */
+export function sessionEnding(session) {
+    return session.maxIterations > 0 && session.iterations >= session.maxIterations;
+}
+
+/**
+ * Records a successful login.
+ *
+ * @param {Object} session - session from createSession
+ * @param {Object} user - identity used to log in, e.g. {username}
+ * @param {String} url - base URL whose cookies belong to the session
+ */
+export function markLoggedIn(session, user, url) {
+    session.loggedIn = true;
+    session.user = user;
+    session.cookies = http.cookieJar().cookiesForURL(url);
+}
+
+/**
+ * Drops all session state and the cookies held for url.
+ *
+ * @param {Object} session - session from createSession
+ * @param {String} url - base URL whose cookies belong to the session
+ */
+export function resetSession(session, url) {
+    session.iterations = 0;
+    session.loggedIn = false;
+    session.user = null;
+    session.cookies = {};
+    Object.keys(session.vars).forEach((key) => delete session.vars[key]);
+    http.cookieJar().clear(url);
+}
@@ -0,0 +1,370 @@
+import { textSummary } from "https://jslib.k6.io/k6-summary/0.0.2/index.js";
+import { compareToBaseline, diffTable } from "./baseline.js";
+import { errorClasses, trackingThreshold } from "./errors.js";
+import { breakerCauses } from "./breaker.js";
+import { distributed, worker } from "./distributed.js";
+
+/**
+ * handleSummary helpers shared by every suite.
+ *
+ * Per-transaction figures are read from the tagged sub-metrics that
+ * buildThresholds registers (RT, Checks, FR, TPS, Errors and Page tags), so a
+ * transaction only shows up here when it has thresholds.
+ *
+ * The run object passed around here is {suite, env, scenario, transactions}
+ * plus, when comparing against a previous run, {baseline, sla} and, when the
+ * suite has a circuit breaker (see breaker.js), {breaker}.
+ *
+ * In a distributed run every worker writes <suite>-worker<i>-* files; the
+ * JSON summary then carries the worker and the raw values of every metric
+ * with thresholds and their per-worker verdicts, which is what
+ * Tools/merge.mjs needs to combine them.
+ */
+
+/**
+ * Collects the per-transaction figures from the end-of-test data.
+ *
+ * @param {Object} data - data object k6 passes to handleSummary
+ * @param {Array<String>} transactions - transaction tag names in display order
+ * @returns {Array<Object>} - one row per transaction
+ */
+export function transactionRows(data, transactions) {
+    return transactions.map(function (name) {
+        let duration = metric(data, `http_req_duration{RT:${name}}`);
+        let checks = metric(data, `checks{Checks:${name}}`);
+        let failed = metric(data, `http_req_failed{FR:${name}}`);
+        let reqs = metric(data, `http_reqs{TPS:${name}}`);
+        let page = metric(data, `page_duration{Page:${name}}`);
+        let errorMetrics = errorClasses.map((errorClass) => metric(data, `errors_${errorClass}{Errors:${name}}`));
+        let errors = {};
+        errorClasses.forEach((errorClass, i) => (errors[errorClass] = errorMetrics[i].values.count || 0));
+        let own = [duration, checks, failed, reqs, page].concat(errorMetrics).filter((m) => m.thresholds);
+
+        return {
+            name: name,
+            min: duration.values.min,
+            avg: duration.values.avg,
+            p95: duration.values["p(95)"],
+            p99: duration.values["p(99)"],
+            max: duration.values.max,
+            pageP95: page.values["p(95)"],
+            count: reqs.values.count !== undefined ? reqs.values.count : duration.values.count,
+            tps: reqs.values.rate,
+            checkRate: checks.values.rate,
+            failures: failed.values.passes !== undefined ? failed.values.passes : checks.values.fails,
+            errors: errors,
+            passed: own.every((m) => Object.keys(m.thresholds).every((t) => m.thresholds[t].ok))
+        };
+    });
+}
+
+/**
+ * Flattens every threshold in the run into a list, leaving out the
+ * error tracking thresholds that cannot fail.
+ *
+ * @param {Object} data - data object k6 passes to handleSummary
+ * @returns {Array<Object>} - {metric, threshold, ok} entries
+ */
+export function thresholdResults(data) {
+    let results = [];
+    Object.keys(data.metrics).forEach(function (name) {
+        let thresholds = data.metrics[name].thresholds || {};
+        Object.keys(thresholds).filter((t) => t != trackingThreshold).forEach(function (threshold) {
+            results.push({ metric: name, threshold: threshold, ok: thresholds[threshold].ok });
+        });
+    });
+    return results;
+}
+
+/**
+ * Lists the circuit breakers that tripped during the run, with the rule
+ * behind each.
+ *
+ * @param {Object} data - data object k6 passes to handleSummary
+ * @param {Object} run - run description, see above
+ * @returns {Array<Object>} - {transaction, trips: {<cause>: count}, skipped, rule} entries
+ */
+export function breakerResults(data, run) {
+    if (!run.breaker) {
+        return [];
+    }
+    return run.transactions.map(function (name) {
+        let tripped = {};
+        breakerCauses.forEach((cause) => (tripped[cause] = metric(data, `breaker_trips{Breaker:${name},cause:${cause}}`).values.count || 0));
+        return {
+            transaction: name,
+            trips: tripped,
+            skipped: metric(data, `breaker_skipped{Breaker:${name}}`).values.count || 0,
+            rule: run.breaker.describe(name)
+        };
+    }).filter((b) => breakerCauses.some((cause) => b.trips[cause] > 0));
+}
+
+/**
+ * Builds the compact, archivable JSON summary.
+ *
+ * @param {Object} data - data object k6 passes to handleSummary
+ * @param {Object} run - run description, see above
+ * @returns {Object} - summary object
+ */
+export function jsonSummary(data, run) {
+    let transactions = {};
+    transactionRows(data, run.transactions).forEach(function (row) {
+        transactions[row.name] = row;
+    });
+
+    return {
+        suite: run.suite,
+        env: run.env,
+        scenario: run.scenario,
+        generatedAt: new Date().toISOString(),
+        durationMs: data.state ? data.state.testRunDurationMs : undefined,
+        transactions: transactions,
+        thresholds: thresholdResults(data),
+        baseline: run.baseline ? baselineDiff(data, run) : undefined,
+        breaker: run.breaker ? breakerResults(data, run) : undefined,
+        worker: distributed() ? worker() : undefined,
+        metrics: distributed() ? thresholdMetrics(data) : undefined
+    };
+}
+
+/**
+ * Renders a self-contained HTML report (inline styles, no external assets).
+ *
+ * @param {Object} data - data object k6 passes to handleSummary
+ * @param {Object} run - run description, see above
+ * @returns {String} - HTML document
+ */
+export function htmlReport(data, run) {
+    let rows = transactionRows(data, run.transactions).map(function (r) {
+        return `<tr class="${r.passed ? "pass" : "fail"}"><td>${escape(r.name)}</td><td>${ms(r.min)}</td><td>${ms(r.avg)}</td>` +
+            `<td>${ms(r.p95)}</td><td>${ms(r.p99)}</td><td>${ms(r.pageP95)}</td><td>${num(r.count)}</td><td>${pct(r.checkRate)}</td>` +
+            `<td>${num(r.failures)}</td><td>${r.passed ? "PASS" : "FAIL"}</td></tr>`;
+    }).join("\n");
+
+    let thresholds = thresholdResults(data).map(function (t) {
+        return `<tr class="${t.ok ? "pass" : "fail"}"><td>${escape(t.metric)}</td><td>${escape(t.threshold)}</td><td>${t.ok ? "PASS" : "FAIL"}</td></tr>`;
+    }).join("\n");
+
+    let errorRows = transactionRows(data, run.transactions).map(function (r) {
+        return `<tr><td>${escape(r.name)}</td>${errorClasses.map((c) => `<td>${r.errors[c]}</td>`).join("")}</tr>`;
+    }).join("\n");
+
+    let breakers = "";
+    let tripped = breakerResults(data, run);
+    if (tripped.length) {
+        let breakerRows = tripped.map(function (b) {
+            return `<tr><td>${escape(b.transaction)}</td>${breakerCauses.map((c) => `<td>${b.trips[c]}</td>`).join("")}` +
+                `<td>${b.skipped}</td><td>${escape(b.rule)}</td></tr>`;
+        }).join("\n");
+
+        breakers = `<h2>Circuit Breaker</h2>
+<p>Each VU decides on its own responses; trips and skips add up over the VUs.</p>
+<table>
+<tr><th>Transaction</th>${breakerCauses.map((c) => `<th>Trips (${c})</th>`).join("")}<th>Skipped</th><th>Rule</th></tr>
+${breakerRows}
+</table>
+`;
+    }
+
+    let comparison = "";
+    if (run.baseline) {
+        let diffRows = baselineDiff(data, run).map(function (d) {
+            return `<tr class="${d.regressed ? "fail" : "pass"}"><td>${escape(d.name)}</td><td>${ms(d.baselineP95)}</td><td>${ms(d.currentP95)}</td>` +
+                `<td>${d.change === undefined ? "-" : d.change.toFixed(1) + "%"}</td><td>${d.tolerance}%</td><td>${d.regressed ? "REGRESSED" : "OK"}</td></tr>`;
+        }).join("\n");
+
+        comparison = `<h2>Baseline Comparison</h2>
+<table>
+<tr><th>Transaction</th><th>Baseline P95</th><th>Current P95</th><th>Change</th><th>Tolerance</th><th>Result</th></tr>
+${diffRows}
+</table>
+`;
+    }
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escape(run.suite)} - k6 report</title>
+<style>
+body { font-family: Arial, sans-serif; margin: 24px; color: #222; }
+table { border-collapse: collapse; margin-bottom: 24px; }
+th, td { border: 1px solid #ccc; padding: 4px 10px; text-align: right; }
+th { background: #eee; }
+td:first-child { text-align: left; }
+tr.pass td:last-child { color: #1a7f37; font-weight: bold; }
+tr.fail td:last-child { color: #cf222e; font-weight: bold; }
+</style>
+</head>
+<body>
+<h1>${escape(run.suite)}</h1>
+<p>Environment: ${escape(run.env)} | Scenario: ${escape(run.scenario)} | Duration: ${ms(data.state ? data.state.testRunDurationMs : undefined)} | Generated: ${new Date().toISOString()}</p>
+<h2>Transactions</h2>
+<table>
+<tr><th>Transaction</th><th>Min</th><th>Avg</th><th>P95</th><th>P99</th><th>Page P95</th><th>Count</th><th>Check Rate</th><th>Failures</th><th>Thresholds</th></tr>
+${rows}
+</table>
+<h2>Errors</h2>
+<table>
+<tr><th>Transaction</th>${errorClasses.map((c) => `<th>${c}</th>`).join("")}</tr>
+${errorRows}
+</table>
+<h2>Thresholds</h2>
+<table>
+<tr><th>Metric</th><th>Threshold</th><th>Result</th></tr>
+${thresholds}
+</table>
+${breakers}${comparison}</body>
+</html>
+`;
+}
+
+/**
+ * Renders a JUnit XML report with one test case per threshold.
+ *
+ * @param {Object} data - data object k6 passes to handleSummary
+ * @param {Object} run - run description, see above
+ * @returns {String} - JUnit XML document
+ */
+export function junitReport(data, run) {
+    let results = thresholdResults(data);
+    let failures = results.filter((t) => !t.ok).length;
+    let time = data.state ? data.state.testRunDurationMs / 1000 : 0;
+
+    let cases = results.map(function (t) {
+        let testcase = `    <testcase classname="${escape(run.suite)}" name="${escape(t.metric + ": " + t.threshold)}">`;
+        if (!t.ok) {
+            testcase += `\n      <failure message="${escape(t.metric + " crossed " + t.threshold)}"/>\n    `;
+        }
+        return testcase + "</testcase>";
+    }).join("\n");
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites tests="${results.length}" failures="${failures}" time="${time}">
+  <testsuite name="${escape(run.suite)}" tests="${results.length}" failures="${failures}" time="${time}">
+${cases}
+  </testsuite>
+</testsuites>
+`;
+}
+
+/**
+ * Produces the full handleSummary output: console summary plus HTML,
+ * JUnit XML and JSON files under RESULTS_DIR (default "results"), one set
+ * per worker in a distributed run. With
+ * -e SAVE_BASELINE=<file> the JSON summary is also written to that file
+ * for later runs to compare against.
+ *
+ * @param {Object} data - data object k6 passes to handleSummary
+ * @param {Object} run - run description, see above
+ * @returns {Object} - map of output destination to content
+ */
+export function summaryOutputs(data, run) {
+    let prefix = `${__ENV.RESULTS_DIR || "results"}/${run.suite}${distributed() ? `-worker${worker().index}` : ""}`;
+    let outputs = {
+        stdout: textSummary(data, { indent: " ", enableColors: true })
+    };
+
+    outputs.stdout += errorTable(transactionRows(data, run.transactions));
+    outputs.stdout += breakerTable(breakerResults(data, run));
+    if (run.baseline) {
+        outputs.stdout += diffTable(baselineDiff(data, run), run.baseline);
+    }
+
+    outputs[`${prefix}-report.html`] = htmlReport(data, run);
+    outputs[`${prefix}-junit.xml`] = junitReport(data, run);
+    outputs[`${prefix}-summary.json`] = JSON.stringify(jsonSummary(data, run), null, 2);
+
+    if (__ENV.SAVE_BASELINE) {
+        outputs[__ENV.SAVE_BASELINE] = outputs[`${prefix}-summary.json`];
+    }
+
+    return outputs;
+}
+
+/**
+ * Renders the per-transaction error breakdown as a fixed-width text table,
+ * or nothing when the run had no errors.
+ *
+ * @param {Array<Object>} rows - output of transactionRows
+ * @returns {String} - table text
+ */
+export function errorTable(rows) {
+    let failing = rows.filter((r) => errorClasses.some((c) => r.errors[c] > 0));
+    if (failing.length == 0) {
+        return "";
+    }
+
+    let line = (cols) => cols.map((c, i) => (i == 0 ? String(c).padEnd(28) : String(c).padStart(12))).join(" ");
+    let lines = ["", "     errors by transaction", "", "     " + line(["Transaction"].concat(errorClasses))];
+
+    failing.forEach(function (r) {
+        lines.push("     " + line([r.name].concat(errorClasses.map((c) => r.errors[c]))));
+    });
+
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Renders the tripped circuit breakers as a fixed-width text table with
+ * the rule of each, or nothing when none tripped.
+ *
+ * @param {Array<Object>} results - output of breakerResults
+ * @returns {String} - table text
+ */
+export function breakerTable(results) {
+    if (results.length == 0) {
+        return "";
+    }
+
+    let line = (cols) => cols.map((c, i) => (i == 0 ? String(c).padEnd(28) : String(c).padStart(12))).join(" ");
+    let lines = ["", "     circuit breaker trips (each VU decides on its own responses)", "", "     " + line(["Transaction"].concat(breakerCauses, ["skipped"]))];
+
+    results.forEach(function (b) {
+        lines.push("     " + line([b.transaction].concat(breakerCauses.map((c) => b.trips[c]), [b.skipped])));
+        lines.push(`       ! ${b.rule}`);
+    });
+
+    return lines.join("\n") + "\n";
+}
+
+function baselineDiff(data, run) {
+    return compareToBaseline(transactionRows(data, run.transactions), run.baseline, run.sla, run.env);
+}
+
+function thresholdMetrics(data) {
+    let metrics = {};
+    Object.keys(data.metrics).filter((name) => data.metrics[name].thresholds).forEach(function (name) {
+        metrics[name] = {
+            type: data.metrics[name].type,
+            values: data.metrics[name].values,
+            thresholds: Object.keys(data.metrics[name].thresholds).map((t) => ({ threshold: t, ok: data.metrics[name].thresholds[t].ok }))
+        };
+    });
+    return metrics;
+}
+
+function metric(data, name) {
+    return data.metrics[name] || { values: {} };
+}
+
+function escape(value) {
+    return String(value === undefined ? "" : value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+function ms(value) {
+    return value === undefined ? "-" : `${value.toFixed(2)} ms`;
+}
+
+function num(value) {
+    return value === undefined ? "-" : String(value);
+}
+
+function pct(value) {
+    return value === undefined ? "-" : `${(value * 100).toFixed(2)}%`;
+}
@@ -0,0 +1,206 @@
+import { sleep } from "k6";
+import { debug } from "./logger.js";
+
+/**
+ * Think time and iteration pacing.
+ *
+ * A think time is either a number of seconds or a distribution:
+ *   {"model": "constant", "mean": 2}
+ *   {"model": "uniform", "min": 1, "max": 3}
+ *   {"model": "gaussian", "mean": 2, "stddev": 0.5, "min": 0.5, "max": 4}
+ *   {"model": "exponential", "mean": 2, "max": 10}   negative exponential, bounded by max when given
+ *
+ * Settings are {default, transactions, pacing}: the default think time, a map
+ * of transaction name to think time overriding it, and the iteration pacing
+ * in seconds (0 = off). Pacing pads every iteration to that duration, so a
+ * closed-model run of N VUs makes N / pacing iterations per second.
+ *
+ * Runtime switches:
+ *   -e THINK_TIME=off       no think time at all, for pure throughput tests
+ *   -e THINK_MODEL=uniform  distribution applied to plain numbers (constant by default)
+ *   -e THINK_MULTIPLIER=0.5 scales every think time
+ *   -e PACING=30            iteration pacing in seconds, overrides the settings
+ */
+
+const models = ["constant", "uniform", "gaussian", "exponential"];
+
+/**
+ * Creates the think time policy of a suite. Must be called in the init
+ * context; the returned object keeps the pacing clock of its VU.
+ *
+ * @param {Object} settings - {default, transactions, pacing}
+ * @returns {Object} - {pacing, duration(name), mean(name), think(name), startIteration(), pace()}
+ */
+export function createThinkTime(settings = {}) {
+    let transactions = settings.transactions || {};
+    let disabled = ["off", "none", "0", "false"].indexOf((__ENV.THINK_TIME || "").toLowerCase()) != -1;
+    let multiplier = __ENV.THINK_MULTIPLIER === undefined ? 1 : Number(__ENV.THINK_MULTIPLIER);
+    let pacing = Number(__ENV.PACING === undefined ? settings.pacing || 0 : __ENV.PACING);
+    let started = null;
+
+    if (isNaN(multiplier) || multiplier < 0) {
+        throw new Error(`Invalid THINK_MULTIPLIER "${__ENV.THINK_MULTIPLIER}", expected a number >= 0`);
+    }
+    if (isNaN(pacing) || pacing < 0) {
+        throw new Error(`Invalid pacing "${__ENV.PACING === undefined ? settings.pacing : __ENV.PACING}", expected seconds >= 0`);
+    }
+    // fail once here rather than in every iteration that samples a plain number
+    fromNumber(0, thinkModel());
+    [settings.default].concat(Object.keys(transactions).map((name) => transactions[name])).forEach(validate);
+
+    let specOf = (name) => (name !== undefined && transactions[name] !== undefined ? transactions[name] : settings.default);
+
+    let duration = function (name) {
+        return disabled ? 0 : sample(specOf(name)) * multiplier;
+    };
+
+    return {
+        pacing: pacing,
+
+        /**
+         * Draws the think time that follows a transaction.
+         *
+         * @param {String} name - transaction name; the default applies when omitted or not overridden
+         * @returns {Number} - seconds, multiplier included
+         */
+        duration: duration,
+
+        /**
+         * Average think time that follows a transaction, for planning.
+         *
+         * @param {String} name - transaction name
+         * @returns {Number} - seconds, multiplier included
+         */
+        mean: (name) => (disabled ? 0 : expected(specOf(name)) * multiplier),
+
+        /**
+         * Sleeps for the think time that follows a transaction.
+         *
+         * @param {String} name - transaction name
+         */
+        think: function (name) {
+            let seconds = duration(name);
+            if (seconds > 0) {
+                sleep(seconds);
+            }
+        },
+
+        /**
+         * Starts the pacing clock; call first thing in the iteration.
+         */
+        startIteration: function () {
+            started = Date.now();
+        },
+
+        /**
+         * Sleeps until the iteration has lasted the pacing duration; call
+         * last thing in the iteration.
+         */
+        pace: function () {
+            if (!pacing || started === null) {
+                return;
+            }
+            let remaining = pacing - (Date.now() - started) / 1000;
+            if (remaining > 0) {
+                sleep(remaining);
+            } else {
+                debug(`Iteration overran pacing of ${pacing}s by ${(-remaining).toFixed(3)}s`, { pacing: pacing });
+            }
+        }
+    };
+}
+
+/**
+ * Draws one value from a think time spec.
+ *
+ * @param {Object} spec - seconds or a distribution, see above
+ * @returns {Number} - seconds, never negative
+ */
+export function sample(spec) {
+    if (spec === undefined || spec === null) {
+        return 0;
+    }
+    if (typeof spec === "number") {
+        spec = fromNumber(spec, thinkModel());
+    }
+
+    let value;
+    switch (spec.model || "constant") {
+        case "uniform":
+            value = spec.min + Math.random() * (spec.max - spec.min);
+            break;
+        case "gaussian":
+            value = spec.mean + gaussian() * (spec.stddev === undefined ? spec.mean / 4 : spec.stddev);
+            break;
+        case "exponential":
+            value = -spec.mean * Math.log(1 - Math.random());
+            break;
+        default:
+            value = spec.mean;
+    }
+
+    if (spec.min !== undefined) {
+        value = Math.max(spec.min, value);
+    }
+    if (spec.max !== undefined) {
+        value = Math.min(spec.max, value);
+    }
+    return Math.max(0, value);
+}
+
+/**
+ * Average of a think time spec. Bounds are ignored except for the uniform
+ * model, so this is an estimate for clipped distributions.
+ *
+ * @param {Object} spec - seconds or a distribution, see above
+ * @returns {Number} - seconds
+ */
+export function expected(spec) {
+    if (spec === undefined || spec === null) {
+        return 0;
+    }
+    if (typeof spec === "number") {
+        return spec;
+    }
+    return (spec.model || "constant") == "uniform" ? (spec.min + spec.max) / 2 : spec.mean;
+}
+
+function fromNumber(seconds, model) {
+    if (models.indexOf(model) == -1) {
+        throw new Error(`Unknown THINK_MODEL "${model}". Valid models: ${models.join(", ")}`);
+    }
+    if (model == "uniform") {
+        return { model: model, min: seconds / 2, max: seconds * 1.5 };
+    }
+    return { model: model, mean: seconds };
+}
+
+function thinkModel() {
+    return (__ENV.THINK_MODEL || "constant").toLowerCase();
+}
+
+function validate(spec) {
+    if (spec === undefined || spec === null) {
+        return;
+    }
+    if (typeof spec === "number") {
+        if (isNaN(spec) || spec < 0) {
+            throw new Error(`Invalid think time ${spec}, expected seconds >= 0`);
+        }
+        return;
+    }
+    let model = spec.model || "constant";
+    if (models.indexOf(model) == -1) {
+        throw new Error(`Unknown think time model "${model}". Valid models: ${models.join(", ")}`);
+    }
+    if (model == "uniform" ? spec.min === undefined || spec.max === undefined : spec.mean === undefined) {
+        throw new Error(`Think time ${JSON.stringify(spec)} needs ${model == "uniform" ? "min and max" : "a mean"}`);
+    }
+}
+
+// Box-Muller transform, standard normal
+function gaussian() {
+    let u = 1 - Math.random();
+    let v = Math.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
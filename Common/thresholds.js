@@ -0,0 +1,121 @@
+import { errorClasses, trackingThreshold } from "./errors.js";
+import { breakerCauses } from "./breaker.js";
+
+/**
+ * Builds the k6 thresholds map for a list of registered transactions.
+ *
+ * SLA settings are resolved in increasing order of precedence:
+ *   sla.defaults -> sla.environments[env].defaults
+ *   -> sla.transactions[name] -> sla.environments[env].transactions[name]
+ * so a transaction's own SLA always beats an environment-wide default.
+ *
+ * Supported SLA keys (set any of them to null to drop that threshold):
+ *   p95            - max 95th percentile response time in ms (http_req_duration{RT:name})
+ *   checkRate      - min passing check rate (checks{Checks:name})
+ *   errorRate      - max failed request rate (http_req_failed{FR:name})
+ *   minTps         - throughput must stay above this rate (http_reqs{TPS:name})
+ *   pageP95        - max 95th percentile full page time in ms, document plus
+ *                    embedded resources (page_duration{Page:name}, see resources.js)
+ *   maxErrors      - max error count per class, e.g. {"5xx": 0, "timeout": 5}
+ *                    (errors_<class>{Errors:name}); replaced as a whole by a
+ *                    more specific layer. Classes without a limit are still
+ *                    tracked so the summary can show the breakdown.
+ *   abortOnFail    - abort the test as soon as the threshold is crossed
+ *   delayAbortEval - grace period before abortOnFail is evaluated, e.g. "30s"
+ *
+ * @param {Array<String>} transactions - transaction tag names, e.g. T01_Transaction
+ * @param {Object} sla - parsed config/sla.json
+ * @param {String} env - environment key used to pick overrides
+ * @returns {Object} - thresholds to assign to options.thresholds
+ */
+export function buildThresholds(transactions, sla = {}, env) {
+    let thresholds = {};
+
+    transactions.forEach(function (name) {
+        let settings = resolveSla(name, sla, env);
+
+        addThreshold(thresholds, `http_req_duration{RT:${name}}`, settings.p95, (v) => `p(95) < ${v}`, settings);
+        addThreshold(thresholds, `checks{Checks:${name}}`, settings.checkRate, (v) => `rate >= ${v}`, settings);
+        addThreshold(thresholds, `http_req_failed{FR:${name}}`, settings.errorRate, (v) => `rate <= ${v}`, settings);
+        addThreshold(thresholds, `http_reqs{TPS:${name}}`, settings.minTps, (v) => `rate > ${v}`, settings);
+        addThreshold(thresholds, `page_duration{Page:${name}}`, settings.pageP95, (v) => `p(95) < ${v}`, settings);
+
+        let maxErrors = settings.maxErrors || {};
+        errorClasses.forEach(function (errorClass) {
+            let metric = `errors_${errorClass}{Errors:${name}}`;
+            if (maxErrors[errorClass] === undefined || maxErrors[errorClass] === null) {
+                thresholds[metric] = [trackingThreshold];
+            } else {
+                addThreshold(thresholds, metric, maxErrors[errorClass], (v) => `count <= ${v}`, settings);
+            }
+        });
+
+        // circuit breaker activity is tracked the same way, see breaker.js
+        breakerCauses.forEach((cause) => (thresholds[`breaker_trips{Breaker:${name},cause:${cause}}`] = [trackingThreshold]));
+        thresholds[`breaker_skipped{Breaker:${name}}`] = [trackingThreshold];
+    });
+
+    return thresholds;
+}
+
+/**
+ * Makes every threshold abort the test when the BreakpointTest profile is
+ * selected, so the run stops at the breaking point instead of pushing on
+ * for the whole profile. Tracking thresholds are left alone; thresholds that
+ * already abort keep their own delayAbortEval.
+ *
+ * @param {Object} thresholds - output of buildThresholds, modified in place
+ * @param {String} selection - selected profiles, e.g. "BreakpointTest" (comma separated)
+ * @param {String} delayAbortEval - grace period before the first evaluation, "10s" by default
+ * @returns {Object} - the same thresholds object
+ */
+export function abortAtBreakpoint(thresholds, selection, delayAbortEval = "10s") {
+    if (String(selection || "").split(",").map((n) => n.trim()).indexOf("BreakpointTest") == -1) {
+        return thresholds;
+    }
+    Object.keys(thresholds).forEach(function (metric) {
+        thresholds[metric] = thresholds[metric].map(function (threshold) {
+            if (typeof threshold !== "string") {
+                return Object.assign({ delayAbortEval: delayAbortEval }, threshold, { abortOnFail: true });
+            }
+            return threshold == trackingThreshold ? threshold : { threshold: threshold, abortOnFail: true, delayAbortEval: delayAbortEval };
+        });
+    });
+    return thresholds;
+}
+
+/**
+ * Merges the SLA layers that apply to one transaction.
+ *
+ * @param {String} name - transaction tag name
+ * @param {Object} sla - parsed config/sla.json
+ * @param {String} env - environment key
+ * @returns {Object} - effective SLA settings
+ */
+export function resolveSla(name, sla = {}, env) {
+    let envSla = (sla.environments && sla.environments[env]) || {};
+
+    return Object.assign(
+        {},
+        sla.defaults,
+        envSla.defaults,
+        (sla.transactions || {})[name],
+        (envSla.transactions || {})[name]
+    );
+}
+
+function addThreshold(thresholds, metric, value, expression, settings) {
+    if (value === undefined || value === null) {
+        return;
+    }
+
+    if (settings.abortOnFail) {
+        let threshold = { threshold: expression(value), abortOnFail: true };
+        if (settings.delayAbortEval) {
+            threshold.delayAbortEval = settings.delayAbortEval;
+        }
+        thresholds[metric] = [threshold];
+    } else {
+        thresholds[metric] = [expression(value)];
+    }
+}
@@ -1,121 +1,70 @@
-import http from "k6/http";
-import {check} from "k6";
-import {baseURL} from "../main.js";
-import {findBetween} from "../utils.js"
+import {catalog, client, breaker} from "../main.js";
+import {assertResponse} from "../../Common/assertions.js";
+import {extract, prepare} from "../../Common/correlation.js";
+import logger from "../../Common/logger.js";
+import {recordError} from "../../Common/errors.js";
 
+const vars = {};
 
-let call1 = function(){
-    let headers={};
-    let tagname = "T01_Transaction";
-    headers["Accept"] = "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange";
-    headers["Accept-Encoding"] = "gzip, deflate, br, zstd";
-    headers["authority"] = "fake-json-api.mock.beeceptor.com";
-    headers["User-Agent"] = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36 Edg/131.0.0.0";
-    headers["Accept-Language"] = "en-US";
-    headers["Cache-Control"] = "max-age=0";
-    headers["path"] = "/users";
-    headers["scheme"] = "https";
-    //let endpoint = "https://fake-json-api.mock.beeceptor.com/users";
-    let endpoint = baseURL + "/users";
-    let response = http.get(endpoint, {headers: headers, tags:{Checks:tagname, RT: tagname, TPS: tagname, FR: tagname}});
-
-    const message = findBetween(response.body, '\"photo\": \"', '\"');
-    console.log("Message is: " +message);
-
-    ChecksandDebug(response, endpoint, tagname);
+/**
+ * Resolves a catalog entry against the catalog defaults.
+ *
+ * @param {Object} transaction - entry from config/transactions.json
+ * @returns {Object} - transaction with method, headers, assertions and think time filled in
+ */
+let resolve = function(transaction){
+    let defaults = catalog.defaults || {};
+    return Object.assign({}, defaults, transaction, {
+        method: (transaction.method || defaults.method || "GET").toUpperCase(),
+        headers: Object.assign({}, defaults.headers, transaction.headers),
+        assert: Object.assign({status: [200]}, defaults.assert, transaction.assert),
+        extract: transaction.extract || []
+    });
 }
 
-let call2 = function(){
-    let headers={};
-    let tagname = "T02_Transaction";
-    headers["Accept"] = "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange";
-    headers["Accept-Encoding"] = "gzip, deflate, br, zstd";
-    headers["authority"] = "fake-json-api.mock.beeceptor.com";
-    headers["User-Agent"] = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36 Edg/131.0.0.0";
-    headers["Accept-Language"] = "en-US";
-    headers["Cache-Control"] = "max-age=0";
-    headers["path"] = "/users";
-    headers["scheme"] = "https";
-    //let endpoint = "https://fake-json-api.mock.beeceptor.com/companies";
-    let endpoint = baseURL +"/companies";
-    let response = http.get(endpoint, {headers: headers, tags:{Checks:tagname, RT: tagname, TPS: tagname, FR: tagname}});
-
-    ChecksandDebug(response, endpoint, tagname);
-}
-
-let call3 = function(){
-    let headers={};
-    let tagname = "T03_Transaction";
-    headers["Accept"] = "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange";
-    headers["Accept-Encoding"] = "gzip, deflate, br, zstd";
-    headers["authority"] = "fake-json-api.mock.beeceptor.com";
-    headers["User-Agent"] = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36 Edg/131.0.0.0";
-    headers["Accept-Language"] = "en-US";
-    headers["Cache-Control"] = "max-age=0";
-    headers["path"] = "/users";
-    headers["scheme"] = "https";
-    //let endpoint = "https://dummy-json.mock.beeceptor.com/todos";
-    let endpoint = baseURL + "/todos";
-    let response = http.get(endpoint, {headers: headers, tags:{Checks:tagname, RT: tagname, TPS: tagname, FR: tagname}});
-
-    ChecksandDebug(response, endpoint, tagname);
-}
-
-let call4 = function(){
-    let headers={};
-    let tagname = "T04_Transaction";
-    headers["Accept"] = "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange";
-    headers["Accept-Encoding"] = "gzip, deflate, br, zstd";
-    headers["authority"] = "fake-json-api.mock.beeceptor.com";
-    headers["User-Agent"] = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36 Edg/131.0.0.0";
-    headers["Accept-Language"] = "en-US";
-    headers["Cache-Control"] = "max-age=0";
-    headers["path"] = "/users";
-    headers["scheme"] = "https";
-    //let endpoint = "https://dummy-json.mock.beeceptor.com/posts";
-    let endpoint = baseURL + "/posts";
-    let response = http.get(endpoint, {headers: headers, tags:{Checks:tagname, RT: tagname, TPS: tagname, FR: tagname}});
+/**
+ * Builds and sends the k6 request described by a catalog entry, runs its
+ * extraction rules and validates the response. ${name} references in the
+ * path, headers and body are filled from values extracted earlier or from
+ * the current feeder rows (${users.username}); when one cannot be resolved
+ * the request is not sent.
+ *
+ * @param {Object} transaction - entry from config/transactions.json
+ * @param {Object} data - feeder values for this iteration, see feederValues
+ * @returns {Object} - the k6 response, or null when correlation failed
+ */
+let execute = function(transaction, data = {}){
+    let txn = resolve(transaction);
+    let tagname = txn.name;
+    let request = prepare({path: txn.path, headers: txn.headers, body: txn.body}, Object.assign({}, data, vars), tagname);
+    if(!request.ok){
+        return null;
+    }
 
-    ChecksandDebug(response, endpoint, tagname);
-}
+    let body = request.value.body;
+    if(body !== undefined && typeof body !== "string"){
+        body = JSON.stringify(body);
+    }
+    let response = client.request(txn.method, request.value.path, body || null, {tag: tagname, profile: txn.profile, headers: request.value.headers});
 
-let call5 = function(){
-    let headers={};
-    let tagname = "T05_Transaction";
-    headers["Accept"] = "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange";
-    headers["Accept-Encoding"] = "gzip, deflate, br, zstd";
-    headers["authority"] = "fake-json-api.mock.beeceptor.com";
-    headers["User-Agent"] = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36 Edg/131.0.0.0";
-    headers["Accept-Language"] = "en-US";
-    headers["Cache-Control"] = "max-age=0";
-    headers["path"] = "/users";
-    headers["scheme"] = "https";
-    //let endpoint = "https://dummy-json.mock.beeceptor.com/continents";
-    let endpoint = baseURL + "/continents";
-    let response = http.get(endpoint, {headers: headers, tags:{Checks:tagname, RT: tagname, TPS: tagname, FR: tagname}});
+    extract(response, txn.extract, vars, tagname);
 
-    ChecksandDebug(response, endpoint, tagname);
+    ChecksandDebug(response, tagname, txn.assert);
+    return response;
 }
 
-function ChecksandDebug(response, endpoint, tagname){
-    if(response.status ==200 || response.status ==201){
-        check(response, {Validation : (r) => r.status === response.status}, {Checks:tagname});
-    }
-    else{
-        check(response, {Validation: (r) => r.status ==200 || r.status ==201}, {Checks:tagname});
-        console.log(`${tagname} failed with status code: `, response.status);
-
-    if(DebugMessage == "yes"){
-        console.log("Endpoint: "+endpoint, "Transaction Name: "+tagname)
-        console.log("Response Body for debug: ", tagname, response.body);
-     }
+function ChecksandDebug(response, tagname, rules){
+    let result = assertResponse(response, rules, tagname);
+    if(!result.ok){
+        recordError(response, tagname);
+        logger.transactionFailed(response, tagname, result.failed);
     }
+    breaker.record(tagname, response, result.ok);
+    return result.ok;
 }
 
+export {vars}
 export default Object.freeze({
-    call1,
-    call2,
-    call3,
-    call4,
-    call5
-})
\ No newline at end of file
+    resolve,
+    execute
+})
@@ -1,77 +1,144 @@
 export {callList} from "../DemoService/service.js";
-
-const configFile = JSON.parse(open("../DemoService/config/env.json"));
-
-let env = `${__ENV.ENV}`;
-let steadyState = (__ENV.STEADYSTATE);
-let configJson = configFile[env];
+export {plan} from "../Common/plan.js";
+import {runJourney} from "../DemoService/service.js";
+import {buildThresholds, abortAtBreakpoint} from "../Common/thresholds.js";
+import {buildScenarios, selectScenarios} from "../Common/scenarios.js";
+import {summaryOutputs} from "../Common/summary.js";
+import {applyBaseline} from "../Common/baseline.js";
+import {createFeeders} from "../Common/feeder.js";
+import {loadConfig, logConfig} from "../Common/config.js";
+import {createThinkTime} from "../Common/thinktime.js";
+import {createJourneys} from "../Common/journeys.js";
+import {createClient} from "../Common/client.js";
+import {buildPlan, validatePlan, planMode, planScenarios, planOutputs} from "../Common/plan.js";
+import {autoVUs, applyCapacity} from "../Common/capacity.js";
+import {segmentOptions} from "../Common/distributed.js";
+import {createLifecycle} from "../Common/lifecycle.js";
+import {createBreaker} from "../Common/breaker.js";
+
+const catalog = JSON.parse(open("../DemoService/config/transactions.json"));
+const slaConfig = JSON.parse(open("../DemoService/config/sla.json"));
+const baseline = __ENV.BASELINE ? JSON.parse(open(__ENV.BASELINE)) : null;
+const measured = __ENV.LATENCY_FROM ? JSON.parse(open(__ENV.LATENCY_FROM)) : null;
+
+let env = __ENV.ENV;
+let configJson = loadConfig({
+    base: "../DemoService/config/base.json",
+    environments: "../DemoService/config/env.json",
+    required: ["url"]
+});
 let baseURL = configJson.url;
-
-export {baseURL, configJson}
-
-let perfscenarios = {
-      LoadTest: {
-        executor: 'ramping-arrival-rate',
-        exec:"callList",
-        startRate: 1 * 1,
-        timeUnit: (1 * 0.1) + 's',
-        preAllocatedVUs: 1,
-        maxVUs: 150,
-        stages: [
-          { target: 1 * 1, duration: '10s' },
-          { target: 200 * 1, duration: steadyState }
-        ],
-      },
-
-      SingleUser: {
-        executor: 'shared-iterations',
-        exec: 'callList',
-        vus: 1,
-        iterations: 1,
-        maxDuration: '30s'
-      }
+let feeders = createFeeders(configJson.feeders);
+let client = createClient(Object.assign({baseURL: baseURL}, configJson.http));
+
+let transactionNames = catalog.transactions.map((t) => t.name);
+let thinkTime = createThinkTime({
+    default: catalog.defaults.thinkTime,
+    transactions: catalog.transactions.reduce(function(overrides, t){
+        if(t.thinkTime !== undefined){
+            overrides[t.name] = t.thinkTime;
+        }
+        return overrides;
+    }, {}),
+    pacing: catalog.defaults.pacing
+});
+
+let journeyConfig = catalog.journeys || {all: {weight: 1}};
+Object.keys(journeyConfig).forEach(function(name){
+    (journeyConfig[name].transactions || []).forEach(function(txnName){
+        if(transactionNames.indexOf(txnName) == -1){
+            throw new Error(`Journey "${name}" refers to unknown transaction "${txnName}". Valid transactions: ${transactionNames.join(", ")}`);
+        }
+    });
+});
+let journeys = createJourneys(journeyConfig, runJourney);
+let breaker = createBreaker(configJson.breaker);
+let lifecycle = createLifecycle({
+    suite: "DemoService",
+    env: env,
+    baseURL: baseURL,
+    client: client,
+    config: configJson.lifecycle,
+    dryRun: planMode()
+});
+
+export {baseURL, configJson, catalog, feeders, client, thinkTime, journeys, breaker}
+
+let perfscenarios = buildScenarios("callList", {
+    startRate: 1,
+    target: 200,
+    startTarget: 1,
+    timeUnit: "0.1s",
+    rampUp: "10s",
+    preAllocatedVUs: 1,
+    maxVUs: 150
+});
+
+  let LoadThresholds = abortAtBreakpoint(applyBaseline(buildThresholds(transactionNames, slaConfig, env), baseline, transactionNames, slaConfig, env), __ENV.scenario);
+
+  let selectedScenarios = lifecycle.warmUp(journeys.scenarios(selectScenarios(perfscenarios, __ENV.scenario)));
+  let planSettings = {
+    transactions: transactionNames,
+    thresholds: LoadThresholds,
+    sla: slaConfig,
+    env: env,
+    thinkTime: thinkTime,
+    journeys: journeys,
+    measured: measured
   };
-
-  let LoadThresholds = {
-
-    'http_req_duration{RT:T01_Transaction}': ['p(95) < 500'],
-    'checks{Checks:T01_Transaction}': ['rate == 1'],
-    'http_req_failed{FR:T01_Transaction}':['rate < 0'],
-    'http_reqs{TPS: T01_Transaction}' : ['rate > 0'],
-
-    'http_req_duration{RT:T02_Transaction}': ['p(95) < 500'],
-    'checks{Checks:T02_Transaction}': ['rate == 1'],
-    'http_req_failed{FR:T02_Transaction}':['rate < 0'],
-    'http_reqs{TPS: T02_Transaction}' : ['rate > 0'],
-
-    'http_req_duration{RT:T03_Transaction}': ['p(95) < 500'],
-    'checks{Checks:T03_Transaction}': ['rate == 1'],
-    'http_req_failed{FR:T03_Transaction}':['rate < 0'],
-    'http_reqs{TPS: T03_Transaction}' : ['rate > 0'],
-
-    'http_req_duration{RT:T04_Transaction}': ['p(95) < 500'],
-    'checks{Checks:T04_Transaction}': ['rate == 1'],
-    'http_req_failed{FR:T04_Transaction}':['rate < 0'],
-    'http_reqs{TPS: T04_Transaction}' : ['rate > 0'],
-
-    'http_req_duration{RT:T05_Transaction}': ['p(95) < 500'],
-    'checks{Checks:T05_Transaction}': ['rate == 1'],
-    'http_req_failed{FR:T05_Transaction}':['rate < 0'],
-    'http_reqs{TPS: T05_Transaction}' : ['rate > 0']
+  let testPlan = buildPlan(selectedScenarios, planSettings);
+  if(autoVUs()){
+    selectedScenarios = applyCapacity(selectedScenarios, testPlan.capacity);
+    testPlan = buildPlan(selectedScenarios, planSettings);
   }
+  validatePlan(testPlan);
+  let segment = planMode() ? {} : segmentOptions();
 
   export let options = {
 
     summaryTrendStats : ["min", "max", "avg", "p(95)", "p(99)", "count"],
-    scenarios : {},
-    thresholds : LoadThresholds
+    executionSegment : segment.executionSegment,
+    executionSegmentSequence : segment.executionSegmentSequence,
+    scenarios : planMode() ? planScenarios() : selectedScenarios,
+    thresholds : planMode() ? {} : LoadThresholds
   }
 
-  if(__ENV.scenario){
+  export function setup(){
+    logConfig(env, configJson);
+    return lifecycle.setup();
+  }
+
+  export function teardown(data){
+    lifecycle.teardown(data);
+  }
 
-    options.scenarios[__ENV.scenario] = perfscenarios[__ENV.scenario];
-  } else{
-    options.scenarios = perfscenarios;
+  export function handleSummary(data){
+    if(planMode()){
+      return planOutputs(testPlan, {suite: "DemoService", env: env});
+    }
+    return summaryOutputs(data, {
+      suite: "DemoService",
+      env: env,
+      scenario: Object.keys(options.scenarios).join(","),
+      transactions: transactionNames,
+      baseline: baseline,
+      sla: slaConfig,
+      breaker: breaker
+    });
   }
 
   //k6 run main.js -e ENV=qa -e STEADYSTATE=30s -e scenario=SingleUser
+  //k6 run main.js -e ENV=qa -e STEADYSTATE=5m -e scenario=StressTest -e TARGET=100 -e MAXVUS=200
+  //k6 run main.js -e ENV=qa -e STEADYSTATE=3m -e scenario=LoadTest -e BASELINE=results/baseline.json -e BASELINE_TOLERANCE=10
+  //k6 run main.js -e ENV=qa -e STEADYSTATE=3m -e scenario=LoadTest -e LOG_LEVEL=debug -e LOG_SAMPLE_RATE=0.1 -e LOG_CAPTURE=failed --log-output=file=results/k6.log
+  //k6 run main.js -e ENV=qa -e STEADYSTATE=3m -e scenario=LoadTest -e THINK_MODEL=gaussian -e THINK_MULTIPLIER=0.5
+  //k6 run main.js -e ENV=qa -e STEADYSTATE=3m -e scenario=StressTest -e THINK_TIME=off
+  //k6 run main.js -e ENV=qa -e STEADYSTATE=3m -e scenario=LoadTest -e JOURNEY_MODE=scenarios
+  //k6 run main.js -e ENV=qa -e STEADYSTATE=30s -e scenario=SingleUser -e JOURNEY=fullCatalog
+  //node ../Tools/mockserver.mjs --latency gaussian:80:20   then   k6 run main.js -e ENV=local -e STEADYSTATE=1m -e scenario=LoadTest
+  //k6 run main.js -e ENV=qa -e STEADYSTATE=3m -e scenario=LoadTest,SpikeTest -e PLAN=true
+  //k6 run main.js -e ENV=qa -e STEADYSTATE=3m -e scenario=LoadTest -e LATENCY_FROM=results/DemoService-summary.json -e AUTO_VUS=true
+  //k6 run main.js -e ENV=qa -e STEADYSTATE=3m -e scenario=LoadTest -e WORKERS=2 -e WORKER=0   (and WORKER=1 elsewhere)   then   node ../Tools/merge.mjs results DemoService
+  //k6 run main.js -e ENV=qa -e STEADYSTATE=3m -e scenario=LoadTest -e WARMUP=30s -e WARMUP_VUS=2
+  //k6 run main.js -e ENV=qa -e STEADYSTATE=3m -e scenario=LoadTest --out json=results/DemoService-raw.json.gz   then   node ../Tools/timeseries.mjs results/DemoService-raw.json.gz --bucket 10s
+  //k6 run main.js -e ENV=qa -e STEADYSTATE=3m -e scenario=LoadTest -e BREAKER=true   (a failing transaction aborts the test, see "breaker" in config/base.json)
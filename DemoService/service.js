@@ -1,15 +1,36 @@
-import { check, status, group, sleep } from "k6";
+import { group } from "k6";
 import x from "../DemoService/api/calls.js";
+import { catalog, feeders, thinkTime, journeys, breaker } from "../DemoService/main.js";
+import { feederValues } from "../Common/feeder.js";
 
 export function callList(){
 
-    group("T01_Transaction", x.call1);
-    sleep(2);
-    group("T02_Transaction", x.call2);
-    sleep(2);
-    group("T03_Transaction", x.call3);
-    sleep(2);
-    group("T04_Transaction", x.call4);
-    sleep(2);
-    group("T05_Transaction", x.call5);
-}
\ No newline at end of file
+    journeys.execute();
+}
+
+/**
+ * Runs the transactions of one journey, in the order the journey lists them.
+ *
+ * @param {String} name - journey name
+ * @param {Object} journey - journey from config/transactions.json; every transaction when it lists none
+ */
+export function runJourney(name, journey){
+
+    let data = feederValues(feeders);
+    if(data === null){
+        return;
+    }
+    thinkTime.startIteration();
+
+    let names = journey.transactions || catalog.transactions.map((t) => t.name);
+    names.forEach(function(txnName){
+        let transaction = catalog.transactions.find((t) => t.name == txnName);
+        if(!breaker.allows(transaction.name)){
+            return;
+        }
+        group(transaction.name, function(){ x.execute(transaction, data); });
+        thinkTime.think(transaction.name);
+    });
+
+    thinkTime.pace();
+}
@@ -1,18 +1,58 @@
-import {group, sleep } from "k6";
+import { group } from "k6";
 import x from "../DemoServiceUI/uicalls.js"
-import { loginstatus } from "../DemoServiceUI/uicalls.js";
+import { session } from "../DemoServiceUI/uicalls.js";
+import { baseURL, feeders, thinkTime, journeys } from "../DemoServiceUI/main.js";
+import { startIteration, sessionEnding } from "../Common/session.js";
+import { feederValues } from "../Common/feeder.js";
 
 export function callList(){
 
+    if (feederValues(feeders) === null) {
+      return;
+    }
+    startIteration(session, baseURL);
+    thinkTime.startIteration();
+
+    journeys.execute();
+
+    thinkTime.think();
+    thinkTime.pace();
+}
+
+// Anonymous visitor: launch page, and the login page without logging in.
+export function browse(){
+
     group("T01_Demo_K6LaunchPage", x.launchpage);
-    sleep(2);
+    thinkTime.think("T01_Demo_K6LaunchPage");
+    if (!session.loggedIn)
+    {
     group("T02_Demo_K6LoginPage", x.loginpage);
-    sleep(2);
+    thinkTime.think("T02_Demo_K6LoginPage");
+    }
+    endSession();
+}
+
+// Logs in unless the session is still logged in.
+export function login(){
+
+    group("T01_Demo_K6LaunchPage", x.launchpage);
+    thinkTime.think("T01_Demo_K6LaunchPage");
+    if (!session.loggedIn)
+    {
+    group("T02_Demo_K6LoginPage", x.loginpage);
+    thinkTime.think("T02_Demo_K6LoginPage");
     group("T03_Demo_K6Login", x.login);
-    sleep(2);
-    if (loginstatus == 1)
+    thinkTime.think("T03_Demo_K6Login");
+    }
+    endSession();
+}
+
+// Every journey ends with this, so the logout carries the journey tag too:
+// a session logged in by one journey may end in an iteration of another.
+function endSession(){
+
+    if (session.loggedIn && sessionEnding(session))
     {
     group("T04_Demo_K6Logout", x.logout);
     }
-    sleep(2);
-}
\ No newline at end of file
+}
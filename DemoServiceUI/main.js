@@ -1,78 +1,131 @@
 export {callList} from "../DemoServiceUI/group.js";
+export {plan} from "../Common/plan.js";
+import {browse, login} from "../DemoServiceUI/group.js";
+import {transactions, verifyLogin, logoutVerified} from "../DemoServiceUI/uicalls.js";
+import {buildThresholds, abortAtBreakpoint} from "../Common/thresholds.js";
+import {buildScenarios, selectScenarios} from "../Common/scenarios.js";
+import {summaryOutputs} from "../Common/summary.js";
+import {applyBaseline} from "../Common/baseline.js";
+import {createFeeders} from "../Common/feeder.js";
+import {loadConfig, logConfig} from "../Common/config.js";
+import {createThinkTime} from "../Common/thinktime.js";
+import {createJourneys} from "../Common/journeys.js";
+import {createClient} from "../Common/client.js";
+import {createResources} from "../Common/resources.js";
+import {buildPlan, validatePlan, planMode, planScenarios, planOutputs} from "../Common/plan.js";
+import {autoVUs, applyCapacity} from "../Common/capacity.js";
+import {segmentOptions} from "../Common/distributed.js";
+import {createLifecycle} from "../Common/lifecycle.js";
+import {createBreaker} from "../Common/breaker.js";
 
-const configFile = JSON.parse(open("../DemoServiceUI/config/env.json"));
+const slaConfig = JSON.parse(open("../DemoServiceUI/config/sla.json"));
+const baseline = __ENV.BASELINE ? JSON.parse(open(__ENV.BASELINE)) : null;
+const measured = __ENV.LATENCY_FROM ? JSON.parse(open(__ENV.LATENCY_FROM)) : null;
 
-let env = `${__ENV.ENV}`;
-let steadyState = (__ENV.STEADYSTATE);
-let configJson = configFile[env];
+let env = __ENV.ENV;
+let configJson = loadConfig({
+    base: "../DemoServiceUI/config/base.json",
+    environments: "../DemoServiceUI/config/env.json",
+    required: ["url", "creds.username", "creds.password"]
+});
 
 let baseURL = configJson.url;
-export {baseURL, configJson}
-let DebugMessage = "yes"
-export {DebugMessage}
+let feeders = createFeeders(configJson.feeders);
+let client = createClient(Object.assign({baseURL: baseURL}, configJson.http));
+let thinkTime = createThinkTime(configJson.thinkTime);
+let journeys = createJourneys(configJson.journeys, {browse: browse, login: login});
+let resources = createResources(client, configJson.resources);
+let breaker = createBreaker(configJson.breaker);
+let lifecycle = createLifecycle({
+    suite: "DemoServiceUI",
+    env: env,
+    baseURL: baseURL,
+    client: client,
+    config: configJson.lifecycle,
+    verify: verifyLogin,
+    cleanup: logoutVerified,
+    dryRun: planMode()
+});
+export {baseURL, configJson, feeders, client, thinkTime, journeys, resources, breaker}
 
-let perfscenarios = {
-      LoadTest: {
-        executor: 'ramping-arrival-rate',
-        exec:"callList",
-        startRate: 1 * 1,
-        timeUnit: (1 * 0.1) + 's',
-        preAllocatedVUs: 1,
-        maxVUs: 100,
-        stages: [
-          { target: 50 * 1, duration: '10s' },
-          { target: 100 * 1, duration: steadyState }
-        ],
-      },
+let perfscenarios = buildScenarios("callList", {
+    startRate: 1,
+    target: 100,
+    startTarget: 50,
+    timeUnit: "0.1s",
+    rampUp: "10s",
+    preAllocatedVUs: 1,
+    maxVUs: 100
+});
 
-      SingleUser: {
-        executor: 'shared-iterations',
-        exec: 'callList',
-        vus: 1,
-        iterations: 1,
-        maxDuration: '30s'
-      }
-  };
-
-  let LoadThresholds = {
-
-    'http_req_duration{RT:T01_Demo_K6LaunchPage}': ['p(95) < 500'],
-    'checks{Checks:T01_Demo_K6LaunchPage}': ['rate == 1'],
-    //'http_req_failed{FR:T01_Demo_K6LaunchPage}':['rate == 0'],
-    'http_reqs{TPS:T01_Demo_K6LaunchPage}' : ['rate > 0'],
-    'FailCount{FR:T01_Demo_K6LaunchPage}':['rate == 0'],
-
-    'http_req_duration{RT:T02_Demo_K6LoginPage}': ['p(95) < 500'],
-    'checks{Checks:T02_Demo_K6LoginPage}': ['rate == 1'],
-    //'http_req_failed{FR:T02_Demo_K6LoginPage}':['rate == 0'],
-    'http_reqs{TPS:T02_Demo_K6LoginPage}' : ['rate > 0'],
-    'FailCount{FR:T02_Demo_K6LoginPage}':['rate == 0'],
-
-    'http_req_duration{RT:T03_Demo_K6Login}': ['p(95) < 500'],
-    'checks{Checks:T03_Demo_K6Login}': ['rate == 1'],
-    //'http_req_failed{FR:T03_Demo_K6Login}':['rate == 0'],
-    'http_reqs{TPS:T03_Demo_K6Login}' : ['rate > 0'],
-    'FailCount{FR:T03_Demo_K6Login}':['rate == 0'],
+  let LoadThresholds = abortAtBreakpoint(applyBaseline(buildThresholds(transactions, slaConfig, env), baseline, transactions, slaConfig, env), __ENV.scenario);
 
-    'http_req_duration{RT:T04_Demo_K6Logout}': ['p(95) < 500'],
-    'checks{Checks:T04_Demo_K6Logout}': ['rate == 1'],
-    //'http_req_failed{FR:T04_Demo_K6Logout}':['rate == 0'],
-    'http_reqs{TPS:T04_Demo_K6Logout}' : ['rate > 0'],
-    'FailCount{FR:T04_Demo_K6Logout}':['rate == 0']
+  let selectedScenarios = lifecycle.warmUp(journeys.scenarios(selectScenarios(perfscenarios, __ENV.scenario)));
+  let planSettings = {
+    transactions: transactions,
+    thresholds: LoadThresholds,
+    sla: slaConfig,
+    env: env,
+    thinkTime: thinkTime,
+    journeys: journeys,
+    measured: measured
+  };
+  let testPlan = buildPlan(selectedScenarios, planSettings);
+  if(autoVUs()){
+    selectedScenarios = applyCapacity(selectedScenarios, testPlan.capacity);
+    testPlan = buildPlan(selectedScenarios, planSettings);
   }
+  validatePlan(testPlan);
+  let segment = planMode() ? {} : segmentOptions();
 
   export let options = {
 
     summaryTrendStats : ["min", "max", "avg", "p(95)", "p(99)", "count"],
-    scenarios : {},
-    thresholds : LoadThresholds
+    executionSegment : segment.executionSegment,
+    executionSegmentSequence : segment.executionSegmentSequence,
+    noCookiesReset : true,
+    batchPerHost : resources.connections,
+    scenarios : planMode() ? planScenarios() : selectedScenarios,
+    thresholds : planMode() ? {} : LoadThresholds
+  }
+
+  export function setup(){
+    logConfig(env, configJson);
+    return lifecycle.setup();
   }
 
-  if(__ENV.scenario){
+  export function teardown(data){
+    lifecycle.teardown(data);
+  }
 
-    options.scenarios[__ENV.scenario] = perfscenarios[__ENV.scenario];
-  } else{
-    options.scenarios = perfscenarios;
+  export function handleSummary(data){
+    if(planMode()){
+      return planOutputs(testPlan, {suite: "DemoServiceUI", env: env});
+    }
+    return summaryOutputs(data, {
+      suite: "DemoServiceUI",
+      env: env,
+      scenario: Object.keys(options.scenarios).join(","),
+      transactions: transactions,
+      baseline: baseline,
+      sla: slaConfig,
+      breaker: breaker
+    });
   }
 
-  //k6 run main.js -e ENV=qa -e STEADYSTATE=30s -e scenario=SingleUser
+  //k6 run main.js -e ENV=qa -e SECRETS_FILE=secrets.qa.json -e STEADYSTATE=30s -e scenario=SingleUser   (secrets.qa.json: {"creds": {"password": "..."}, "feeders": {"users": {"file": "/path/to/users.csv"}}})
+  //k6 run main.js -e ENV=qa -e STEADYSTATE=5m -e scenario=StressTest -e TARGET=100 -e MAXVUS=200
+  //k6 run main.js -e ENV=qa -e STEADYSTATE=3m -e scenario=LoadTest -e SESSION_ITERATIONS=5
+  //k6 run main.js -e ENV=qa -e STEADYSTATE=3m -e scenario=LoadTest -e BASELINE=results/baseline.json -e BASELINE_TOLERANCE=10
+  //k6 run main.js -e ENV=qa -e STEADYSTATE=3m -e scenario=LoadTest -e LOG_LEVEL=debug -e LOG_SAMPLE_RATE=0.1 -e LOG_CAPTURE=failed --log-output=file=results/k6.log
+  //k6 run main.js -e ENV=qa -e STEADYSTATE=3m -e scenario=LoadTest -e PACING=20 -e THINK_MODEL=exponential
+  //k6 run main.js -e ENV=qa -e STEADYSTATE=3m -e scenario=LoadTest -e JOURNEY_MODE=scenarios -e CONFIG_JOURNEYS_LOGIN_WEIGHT=50
+  //k6 run main.js -e ENV=qa -e STEADYSTATE=3m -e scenario=LoadTest -e ROTATE_USER_AGENTS=true -e HTTP_TIMEOUT=30s
+  //node ../Tools/mockserver.mjs --latency gaussian:80:20   then   k6 run main.js -e ENV=local -e CONFIG_CREDS_PASSWORD=123 -e STEADYSTATE=1m -e scenario=LoadTest
+  //k6 run main.js -e ENV=qa -e STEADYSTATE=3m -e scenario=LoadTest,SpikeTest -e PLAN=true
+  //k6 run main.js -e ENV=qa -e STEADYSTATE=3m -e scenario=LoadTest -e LATENCY_FROM=results/DemoServiceUI-summary.json -e AUTO_VUS=true
+  //k6 run main.js -e ENV=qa -e STEADYSTATE=3m -e scenario=LoadTest -e WORKERS=2 -e WORKER=0   (and WORKER=1 elsewhere)   then   node ../Tools/merge.mjs results DemoServiceUI
+  //k6 run main.js -e ENV=qa -e STEADYSTATE=3m -e scenario=LoadTest --out json=results/DemoServiceUI-raw.json.gz   then   node ../Tools/timeseries.mjs results/DemoServiceUI-raw.json.gz --bucket 10s
+  //k6 run main.js -e ENV=qa -e STEADYSTATE=3m -e scenario=LoadTest -e RESOURCES=true -e RESOURCE_CACHE=false
+  //k6 run main.js -e ENV=qa -e STEADYSTATE=3m -e scenario=LoadTest -e WARMUP=1m -e WARMUP_VUS=5   (-e HEALTH_CHECK=false to skip the pre-flight check)
+  //k6 run main.js -e ENV=qa -e STEADYSTATE=3m -e scenario=LoadTest -e BREAKER=true   (login failures skip the logout, see "breaker" in config/base.json)
@@ -1,225 +1,167 @@
-import { check } from 'k6'
-import http from "k6/http";
-import { Rate, Counter } from 'k6/metrics';
-import { baseURL, configJson, DebugMessage } from "../DemoServiceUI/main.js";
-
-const vars = {}
-let loginstatus = 0;
-const failedRequests = new Rate('http_req_failed');
-const failCount = new Counter('FailCount');
+import http from 'k6/http';
+import { baseURL, configJson, feeders, client, resources, breaker } from "../DemoServiceUI/main.js";
+import { assertResponse } from "../Common/assertions.js";
+import { extract, prepare } from "../Common/correlation.js";
+import { createSession, markLoggedIn, resetSession } from "../Common/session.js";
+import logger from "../Common/logger.js";
+import { recordError } from "../Common/errors.js";
+
+const session = createSession()
+const transactions = ["T01_Demo_K6LaunchPage", "T02_Demo_K6LoginPage", "T03_Demo_K6Login", "T04_Demo_K6Logout"];
+const formHeaders = {'Cache-Control': 'max-age=0', 'Content-Type': 'application/x-www-form-urlencoded'};
 
   let launchpage = function () {
     let tagname = "T01_Demo_K6LaunchPage"
-    let response = http.get(baseURL, {
-      headers: {
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
-        'Accept-Encoding': 'gzip, deflate, br, zstd',
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Connection': 'keep-alive',
-        'Host': 'test.k6.io',
-        'Sec-Fetch-Dest': 'document',
-        'Sec-Fetch-Mode': 'navigate',
-        'Sec-Fetch-Site': 'none',
-        'Sec-Fetch-User': '?1',
-        'Upgrade-Insecure-Requests': '1',
-        'sec-ch-ua': '"Microsoft Edge";v="131", "Chromium";v="131", "Not_A Brand";v="24"',
-        'sec-ch-ua-mobile': '?0',
-        'sec-ch-ua-platform': '"Windows"'   
-      },
-      tags: {Checks: tagname, RT: tagname, TPS: tagname, FR: tagname}
-    })
+    if (!breaker.allows(tagname)) {
+      return
+    }
+    let response = client.get('', {tag: tagname, headers: {'Sec-Fetch-Site': 'none'}})
 
     ChecksandDebug(response, tagname);
+    resources.load(response, tagname)
   }
 
   let loginpage = function () {
     let tagname = "T02_Demo_K6LoginPage"
-    let response = http.get(baseURL +'/my_messages.php', {
-      headers: {
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
-        'Accept-Encoding': 'gzip, deflate, br, zstd',
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Connection': 'keep-alive',
-        'Host': 'test.k6.io',
-        'Sec-Fetch-Dest': 'document',
-        'Sec-Fetch-Mode': 'navigate',
-        'Sec-Fetch-Site': 'same-origin',
-        'Sec-Fetch-User': '?1',
-        'Upgrade-Insecure-Requests': '1',
-        'sec-ch-ua': '"Microsoft Edge";v="131", "Chromium";v="131", "Not_A Brand";v="24"',
-        'sec-ch-ua-mobile': '?0',
-        'sec-ch-ua-platform': '"Windows"'
-      },
-      tags: {Checks: tagname, RT: tagname, TPS: tagname, FR: tagname}
-    })
-
-    vars['redir1'] = response.html().find('input[name=redir]').first().attr('value')
+    if (!breaker.allows(tagname)) {
+      return
+    }
+    let response = client.get('/my_messages.php', {tag: tagname})
 
-    vars['csrftoken1'] = response.html().find('input[name=csrftoken]').first().attr('value')
+    extract(response, [
+      {name: 'redir1', selector: 'input[name=redir]', attribute: 'value'},
+      {name: 'csrftoken1', selector: 'input[name=csrftoken]', attribute: 'value'}
+    ], session.vars, tagname)
 
     ChecksandDebug(response, tagname);
+    resources.load(response, tagname)
 
   }
 
 let login = function () {
-  let username = configJson.creds.username;
-  let password = configJson.creds.password;
+  let user = feeders.users ? feeders.users.row() : configJson.creds;
+  let username = user.username;
+  let password = user.password;
 
    let tagname = "T03_Demo_K6Login"
-   let response = http.post(
-    baseURL + '/login.php',
+   if (!breaker.allows(tagname)) {
+     return
+   }
+   let form = prepare({redir: '${redir1}', csrftoken: '${csrftoken1}'}, session.vars, tagname)
+   if (!form.ok) {
+     return
+   }
+
+   // the form post is not tagged: the transaction is timed on the page it lands on
+   let response = client.post(
+    '/login.php',
       {
-        redir: `${vars['redir1']}`,
-        csrftoken: `${vars['csrftoken1']}`,
+        redir: form.value.redir,
+        csrftoken: form.value.csrftoken,
         login: `${username}`, //admin
         password: `${password}`, //123
       },
-      {
-        headers: {
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
-          'Accept-Encoding': 'gzip, deflate, br, zstd',
-          'Accept-Language': 'en-US,en;q=0.9',
-          'Cache-Control': 'max-age=0',
-          'Connection': 'keep-alive',
-          'Content-Type': 'application/x-www-form-urlencoded',
-          'Host': 'test.k6.io',
-          'Origin': 'https://test.k6.io',
-          'Sec-Fetch-Dest': 'document',
-          'Sec-Fetch-Mode': 'navigate',
-          'Sec-Fetch-Site': 'same-origin',
-          'Sec-Fetch-User': '?1',
-          'Upgrade-Insecure-Requests': '1',
-          'sec-ch-ua': '"Microsoft Edge";v="131", "Chromium";v="131", "Not_A Brand";v="24"',
-          'sec-ch-ua-mobile': '?0',
-          'sec-ch-ua-platform': '"Windows"'  
-        },
-       // tags: {name: tagname, RT: tagname, TPS: tagname}
-      }
+      {headers: formHeaders}
     )
     
-    response = http.get(baseURL + '/my_messages.php', {
-      headers: {
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
-        'Accept-Encoding': 'gzip, deflate, br, zstd',
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Cache-Control': 'max-age=0',
-        'Connection': 'keep-alive',
-        'Host': 'test.k6.io',
-        'Sec-Fetch-Dest': 'document',
-        'Sec-Fetch-Mode': 'navigate',
-        'Sec-Fetch-Site': 'same-origin',
-        'Sec-Fetch-User': '?1',
-        'Upgrade-Insecure-Requests': '1',
-        'sec-ch-ua': '"Microsoft Edge";v="131", "Chromium";v="131", "Not_A Brand";v="24"',
-        'sec-ch-ua-mobile': '?0',
-        'sec-ch-ua-platform': '"Windows"'
-      },
-      tags: {Checks: tagname, RT: tagname, TPS: tagname, FR: tagname}
-    })
-
-    vars['redir2'] = response.html().find('input[name=redir]').first().attr('value')
+    response = client.get('/my_messages.php', {tag: tagname, headers: {'Cache-Control': 'max-age=0'}})
 
-    vars['csrftoken2'] = response.html().find('input[name=csrftoken]').first().attr('value')
-    //console.log("Config Username: ",username);
-    //console.log("Config Password: ",password);
+    extract(response, [
+      {name: 'redir2', selector: 'input[name=redir]', attribute: 'value'},
+      {name: 'csrftoken2', selector: 'input[name=csrftoken]', attribute: 'value'}
+    ], session.vars, tagname)
 
-    ChecksandDebugLogin(response, tagname);
+    ChecksandDebugLogin(response, tagname, username);
   }
 
   
 
 let logout = function () {
     let tagname = "T04_Demo_K6Logout"
-    let response = http.post(
-      baseURL + '/login.php',
-      {
-        redir: `${vars['redir2']}`,
-        csrftoken: `${vars['csrftoken2']}`,
-      },
-      {
-        headers: {
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
-          'Accept-Encoding': 'gzip, deflate, br, zstd',
-          'Accept-Language': 'en-US,en;q=0.9',
-          'Cache-Control': 'max-age=0',
-          'Connection': 'keep-alive',
-          'Content-Type': 'application/x-www-form-urlencoded',
-          'Host': 'test.k6.io',
-          'Origin': 'https://test.k6.io',
-          'Sec-Fetch-Dest': 'document',
-          'Sec-Fetch-Mode': 'navigate',
-          'Sec-Fetch-Site': 'same-origin',
-          'Sec-Fetch-User': '?1',
-          'Upgrade-Insecure-Requests': '1',
-          'sec-ch-ua': '"Microsoft Edge";v="131", "Chromium";v="131", "Not_A Brand";v="24"',
-          'sec-ch-ua-mobile': '?0',
-          'sec-ch-ua-platform': '"Windows"'
-        },
-        //tags: {name: tagname, RT: tagname, TPS: tagname}
-      }
-    )
+    if (!breaker.allows(tagname)) {
+      return
+    }
+    let form = prepare({redir: '${redir2}', csrftoken: '${csrftoken2}'}, session.vars, tagname)
+    if (!form.ok) {
+      return
+    }
 
-    response = http.get(baseURL + '/my_messages.php', {
-      headers: {
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
-        'Accept-Encoding': 'gzip, deflate, br, zstd',
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Cache-Control': 'max-age=0',
-        'Connection': 'keep-alive',
-        'Host': 'test.k6.io',
-        'Sec-Fetch-Dest': 'document',
-        'Sec-Fetch-Mode': 'navigate',
-        'Sec-Fetch-Site': 'same-origin',
-        'Sec-Fetch-User': '?1',
-        'Upgrade-Insecure-Requests': '1',
-        'sec-ch-ua': '"Microsoft Edge";v="131", "Chromium";v="131", "Not_A Brand";v="24"',
-        'sec-ch-ua-mobile': '?0',
-        'sec-ch-ua-platform': '"Windows"'
-      },
-      tags: {Checks: tagname, RT: tagname, TPS: tagname, FR: tagname}
-    })
-    ChecksandDebug(response, tagname);
+    let response = client.post('/login.php', form.value, {headers: formHeaders})
+
+    response = client.get('/my_messages.php', {tag: tagname, headers: {'Cache-Control': 'max-age=0'}})
+
+    if (ChecksandDebug(response, tagname)) {
+      resetSession(session, baseURL)
+    }
   }
 
   function ChecksandDebug(response, tagname){
-    if(response.status ==200 || response.status ==302){
-        check(response, {Validation : (r) => r.status === response.status}, {Checks:tagname});
-    }
-    else{
-        check(response, {Validation: (r) => r.status ==200 || r.status ==302}, {Checks:tagname});
-        console.log(`${tagname} failed with status code: `, response.status);
-        failCount.add(!success, {FR: tagname})
-
-    if(DebugMessage == "yes"){
-        console.log("Transaction Name: "+tagname)
-        console.log("Response Body for debug: ", tagname, response.body);
-     }
+    let result = assertResponse(response, {status: [200, 302]}, tagname);
+    if(!result.ok){
+        recordError(response, tagname)
+        logger.transactionFailed(response, tagname, result.failed)
     }
+    breaker.record(tagname, response, result.ok)
+    return result.ok
 }
 
-function ChecksandDebugLogin (response, tagname){
+function ChecksandDebugLogin (response, tagname, username){
 
-  if(response.body.includes('Welcome')){
-    check(response, {Validation: (r) => r.body.includes('Welcome, admin!')}, {Checks:tagname})
-    loginstatus = 1
-  
+  let result = assertResponse(response, {status: [200], bodyContains: `Welcome, ${username}!`}, tagname);
+
+  if(result.ok){
+    markLoggedIn(session, {username: username}, baseURL)
   }
 
   else{
-    let success = check(response, {Validation: (r) => r.body.includes(!('Welcome'))}, {Checks:tagname});
-    
-    console.log(`${tagname} failed: Unable to Login `);
-    failCount.add(!success, {FR: tagname})
-   
-    if(DebugMessage == "yes"){
-      console.log("Transaction Name: "+tagname)
-      console.log("Response Body for debug: ", tagname, response.body);
-   }
-   
+    recordError(response, tagname)
+    logger.transactionFailed(response, tagname, result.failed)
 }
+  breaker.record(tagname, response, result.ok)
 
 }
-export {loginstatus}
+// Pre-flight credentials check run by setup(): logs in with the environment's creds
+// outside any transaction and keeps what the logout in teardown() needs.
+let verifyLogin = function (client) {
+    let username = configJson.creds.username;
+    let page = client.get('/my_messages.php')
+    let form = {
+      redir: page.status == 200 ? page.html().find('input[name=redir]').attr('value') : undefined,
+      csrftoken: page.status == 200 ? page.html().find('input[name=csrftoken]').attr('value') : undefined
+    }
+    if (!form.redir || !form.csrftoken) {
+      return {ok: false, message: `login form not found on ${baseURL}/my_messages.php (HTTP ${page.status})`}
+    }
+
+    client.post('/login.php', {redir: form.redir, csrftoken: form.csrftoken, login: username, password: configJson.creds.password}, {headers: formHeaders})
+    let response = client.get('/my_messages.php', {headers: {'Cache-Control': 'max-age=0'}})
+    if (response.status != 200 || response.body.indexOf(`Welcome, ${username}!`) == -1) {
+      return {ok: false, message: `login as ${username} failed (HTTP ${response.status}); check creds in config/env.json or the SECRETS_FILE`}
+    }
+
+    return {
+      ok: true,
+      message: `logged in as ${username}`,
+      data: {
+        redir: response.html().find('input[name=redir]').attr('value'),
+        csrftoken: response.html().find('input[name=csrftoken]').attr('value'),
+        cookies: http.cookieJar().cookiesForURL(baseURL)
+      }
+    }
+  }
+
+// Cleanup run by teardown(): logs the pre-flight session out again.
+let logoutVerified = function (data, client) {
+    if (!data || !data.csrftoken) {
+      return
+    }
+    let jar = http.cookieJar()
+    Object.keys(data.cookies).forEach((name) => jar.set(baseURL, name, data.cookies[name][0]))
+    client.post('/login.php', {redir: data.redir, csrftoken: data.csrftoken}, {headers: formHeaders})
+    jar.clear(baseURL)
+  }
+
+export {session, transactions, verifyLogin, logoutVerified}
   export default Object.freeze({
 
     launchpage,
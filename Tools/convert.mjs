@@ -0,0 +1,784 @@
+#!/usr/bin/env node
+/**
+ * Converts a HAR file or a k6 recorder script into a service folder laid
+ * out like DemoServiceUI:
+ *
+ *   <Service>/main.js            scenarios, thresholds, handleSummary
+ *   <Service>/group.js           callList, thinking between transactions
+ *   <Service>/calls.js           one Txx_ transaction per page/group, sent through the shared client
+ *   <Service>/config/base.json   client settings, pre-flight check and recorded think times, shared by every environment
+ *   <Service>/config/env.json    base URL per environment
+ *   <Service>/config/sla.json    default SLAs
+ *
+ * Hidden form fields (CSRF tokens, redirect targets, ...) that are read from
+ * one response and sent back in a later request become correlation rules.
+ *
+ * Recorded credentials never reach the output: password fields (pass,
+ * password, passwd, pwd) of form and JSON bodies and of query strings, the
+ * login/user/email field sent with them and any other field holding the
+ * recorded password are sent as configJson.creds.username/password instead.
+ * env.json then holds the recorded username and the "${secret}" placeholder,
+ * so the password has to come from the SECRETS_FILE or CONFIG_CREDS_PASSWORD.
+ *
+ * Runs offline under Node, no dependencies:
+ *   node Tools/convert.mjs <recording.har|recorder.js> <ServiceName> [--out <dir>] [--env qa] [--include-static]
+ */
+import fs from "node:fs";
+import path from "node:path";
+import vm from "node:vm";
+
+const staticExtensions = /\.(css|js|mjs|png|jpe?g|gif|svg|ico|webp|avif|woff2?|ttf|eot|map)(\?|$)/i;
+const staticMimeTypes = /^(image|font)\/|css|javascript/i;
+// Host and Origin are derived from the configured base URL by the client
+const droppedHeaders = /^(:|cookie$|content-length$|host$|origin$)/i;
+const passwordField = /^(.*[-_.])?(pass|password|passwd|pwd)$/i;
+const usernameField = /^(.*[-_.])?(login|user|username|user_?name|email|e-?mail|account)$/i;
+const credentialRefs = { username: "${creds.username}", password: "${creds.password}" };
+
+/**
+ * Parses a HAR document into the intermediate recording model.
+ *
+ * @param {Object} har - parsed HAR JSON
+ * @param {Object} settings - {includeStatic}
+ * @returns {Array<Object>} - pages: {title, thinkTime, requests: [{id, method, url, headers, body, status, responseBody}]}
+ */
+export function parseHar(har, settings = {}) {
+    let entries = har.log.entries.filter(function (entry) {
+        if (settings.includeStatic) {
+            return true;
+        }
+        let mime = (entry.response && entry.response.content && entry.response.content.mimeType) || "";
+        return !staticExtensions.test(entry.request.url) && !staticMimeTypes.test(mime);
+    });
+
+    let pages = [];
+    let byRef = {};
+    (har.log.pages || []).forEach(function (page) {
+        byRef[page.id] = { title: page.title, started: Date.parse(page.startedDateTime), requests: [] };
+        pages.push(byRef[page.id]);
+    });
+
+    entries.forEach(function (entry, i) {
+        let page = byRef[entry.pageref];
+        if (!page) {
+            page = { title: entry.request.url, started: Date.parse(entry.startedDateTime), requests: [] };
+            pages.push(page);
+        }
+        let started = Date.parse(entry.startedDateTime);
+        page.ended = Math.max(page.ended || 0, started + (entry.time || 0));
+        page.requests.push({
+            id: i,
+            method: entry.request.method.toUpperCase(),
+            url: entry.request.url,
+            headers: headerObject(entry.request.headers),
+            body: harBody(entry.request.postData),
+            status: entry.response ? entry.response.status : undefined,
+            responseBody: entry.response && entry.response.content ? entry.response.content.text || "" : ""
+        });
+    });
+
+    pages = pages.filter((page) => page.requests.length);
+    pages.forEach(function (page, i) {
+        let next = pages[i + 1];
+        page.thinkTime = next ? Math.max(0, round((next.started - page.ended) / 1000)) : 0;
+    });
+
+    detectCredentials(pages);
+    detectHiddenFieldCorrelations(pages);
+    return pages;
+}
+
+/**
+ * Parses a k6 recorder script (such as DemoServiceUI/backup.js) into the
+ * intermediate recording model by running it against stubbed k6 modules.
+ * Values the script reads from responses come back as markers, so any later
+ * request that sends them is known to depend on that response.
+ *
+ * @param {String} source - recorder script source
+ * @returns {Array<Object>} - pages, see parseHar
+ */
+export function parseRecorderScript(source) {
+    let pages = [];
+    let current = null;
+    let markers = {};
+    let requestId = 0;
+
+    let page = function (title) {
+        current = { title: title, thinkTime: 0, requests: [] };
+        pages.push(current);
+    };
+
+    let record = function (method, url, body, params) {
+        if (!current) {
+            page(url);
+        }
+        let request = {
+            id: requestId++,
+            method: method.toUpperCase(),
+            url: String(url),
+            headers: Object.assign({}, (params && params.headers) || {}),
+            body: body === undefined || body === null ? null : body,
+            extract: []
+        };
+        Object.keys(request.headers).forEach((h) => droppedHeaders.test(h) && delete request.headers[h]);
+        current.requests.push(request);
+        return stubResponse(request, markers);
+    };
+
+    let http = {
+        get: (url, params) => record("GET", url, null, params),
+        head: (url, params) => record("HEAD", url, null, params),
+        options: (url, body, params) => record("OPTIONS", url, body, params),
+        post: (url, body, params) => record("POST", url, body, params),
+        put: (url, body, params) => record("PUT", url, body, params),
+        patch: (url, body, params) => record("PATCH", url, body, params),
+        del: (url, body, params) => record("DELETE", url, body, params),
+        request: (method, url, body, params) => record(method, url, body, params),
+        batch: (requests) => requests.map((r) => (Array.isArray(r) ? record(r[0], r[1], r[2], r[3]) : record(r.method || "GET", r.url, r.body, r.params)))
+    };
+
+    let sandbox = {
+        http: http,
+        group: function (name, fn) {
+            page(name);
+            return fn();
+        },
+        sleep: function (seconds) {
+            if (current) {
+                current.thinkTime = round(current.thinkTime + Number(seconds));
+            }
+        },
+        check: () => true,
+        console: { log() {}, warn() {}, error() {} },
+        __ENV: {},
+        __VU: 1,
+        __ITER: 0
+    };
+
+    let script = source
+        .replace(/^\s*import\s[^;\n]*;?\s*$/gm, "")
+        .replace(/export\s+default\s+function\s*(\w*)\s*\(/, "globalThis.__main = function $1(")
+        .replace(/export\s+(const|let|var|function)\s/g, "$1 ");
+
+    vm.createContext(sandbox);
+    vm.runInContext(script, sandbox, { filename: "recording.js" });
+    if (typeof sandbox.__main !== "function") {
+        throw new Error("Recorder script has no default export function");
+    }
+    sandbox.__main();
+
+    replaceMarkers(pages, markers);
+    detectCredentials(pages);
+    return pages.filter((p) => p.requests.length);
+}
+
+/**
+ * Renders the service folder files.
+ *
+ * @param {Array<Object>} pages - recording model from parseHar or parseRecorderScript
+ * @param {Object} settings - {service, env}
+ * @returns {Object} - map of relative file path to content
+ */
+export function renderService(pages, settings) {
+    let service = settings.service;
+    let baseURL = origin(pages[0].requests[0].url);
+    let credentials = recordedCredentials(pages);
+    let used = {};
+    let transactions = pages.map(function (page, i) {
+        let name = `T${String(i + 1).padStart(2, "0")}_${transactionLabel(page, used)}`;
+        return { name: name, fn: functionName(name), page: page };
+    });
+
+    let files = {};
+    files[`${service}/config/base.json`] = JSON.stringify(baseConfig(transactions, baseURL), null, 4);
+    files[`${service}/config/env.json`] = JSON.stringify(envConfig(baseURL, settings.env, credentials), null, 4);
+    files[`${service}/config/sla.json`] = JSON.stringify(slaConfig(settings.env), null, 4);
+    files[`${service}/calls.js`] = renderCalls(service, baseURL, transactions, credentials);
+    files[`${service}/group.js`] = renderGroup(service, transactions);
+    files[`${service}/main.js`] = renderMain(service, credentials);
+    return files;
+}
+
+function renderCalls(service, baseURL, transactions, credentials) {
+    let functions = transactions.map(function (t) {
+        let lines = [`  let ${t.fn} = function () {`, `    let tagname = "${t.name}"`, "    if (!breaker.allows(tagname)) {", "      return", "    }", "    let response"];
+
+        t.page.requests.forEach(function (request) {
+            let target = urlExpression(request.url, baseURL);
+            let headers = indent(JSON.stringify(request.headers, null, 2), 6);
+            let body = request.body === null ? "null" : indent(JSON.stringify(request.body, null, 2), 4);
+
+            if (/\$\{[\w.]+\}/.test(JSON.stringify([request.url, request.body, request.headers]))) {
+                let name = `request${request.id}`;
+                let context = request.credentials ? "Object.assign(credentials(), vars)" : "vars";
+                lines.push(`    let ${name} = prepare({url: ${target}, body: ${body}, headers: ${indent(headers, -2)}}, ${context}, tagname)`);
+                lines.push(`    if (!${name}.ok) {`, "      return", "    }");
+                target = `${name}.value.url`;
+                body = `${name}.value.body`;
+                headers = `${name}.value.headers`;
+            }
+
+            let params = `{\n      tag: tagname,\n      headers: ${headers}\n    }`;
+            lines.push(`    response = client.request("${request.method}", ${target}, ${body}, ${params})`);
+            if (request.extract && request.extract.length) {
+                lines.push(`    extract(response, ${indent(JSON.stringify(request.extract, null, 2), 4)}, vars, tagname)`);
+            }
+        });
+
+        lines.push(`    ChecksandDebug(response, tagname, ${JSON.stringify(expectedStatus(t.page))});`, "  }");
+        return lines.join("\n");
+    });
+
+    let credentialsFn = credentials ? `
+// the recorded login is sent with the configured credentials (creds in config/env.json and the SECRETS_FILE)
+let credentials = () => ({"creds.username": configJson.creds.username, "creds.password": configJson.creds.password})
+` : "";
+
+    return `import { client, breaker${credentials ? ", configJson" : ""} } from "../${service}/main.js";
+import { assertResponse } from "../Common/assertions.js";
+import { extract, prepare } from "../Common/correlation.js";
+import logger from "../Common/logger.js";
+import { recordError } from "../Common/errors.js";
+
+const vars = {}
+const transactions = ${JSON.stringify(transactions.map((t) => t.name))};
+${credentialsFn}
+${functions.join("\n\n")}
+
+  function ChecksandDebug(response, tagname, status){
+    let result = assertResponse(response, {status: status}, tagname);
+    if(!result.ok){
+        recordError(response, tagname)
+        logger.transactionFailed(response, tagname, result.failed)
+    }
+    breaker.record(tagname, response, result.ok)
+    return result.ok
+}
+
+export {vars, transactions}
+  export default Object.freeze({
+
+${transactions.map((t) => `    ${t.fn}`).join(",\n")}
+
+  })
+`;
+}
+
+function renderGroup(service, transactions) {
+    let steps = transactions.map((t) => `    group("${t.name}", x.${t.fn});\n    thinkTime.think("${t.name}");`);
+
+    return `import { group } from "k6";
+import x from "../${service}/calls.js"
+import { thinkTime } from "../${service}/main.js";
+
+export function callList(){
+
+    thinkTime.startIteration();
+
+${steps.join("\n")}
+
+    thinkTime.pace();
+}
+`;
+}
+
+function renderMain(service, credentials) {
+    let required = JSON.stringify(credentials ? ["url", "creds.username", "creds.password"] : ["url"]).replace(/,/g, ", ");
+    return `export {callList} from "../${service}/group.js";
+export {plan} from "../Common/plan.js";
+import {transactions} from "../${service}/calls.js";
+import {buildThresholds, abortAtBreakpoint} from "../Common/thresholds.js";
+import {buildScenarios, selectScenarios} from "../Common/scenarios.js";
+import {summaryOutputs} from "../Common/summary.js";
+import {applyBaseline} from "../Common/baseline.js";
+import {loadConfig, logConfig} from "../Common/config.js";
+import {createThinkTime} from "../Common/thinktime.js";
+import {createClient} from "../Common/client.js";
+import {planMode, planScenarios, buildPlan, validatePlan, planOutputs} from "../Common/plan.js";
+import {autoVUs, applyCapacity} from "../Common/capacity.js";
+import {segmentOptions} from "../Common/distributed.js";
+import {createLifecycle} from "../Common/lifecycle.js";
+import {createBreaker} from "../Common/breaker.js";
+
+const slaConfig = JSON.parse(open("../${service}/config/sla.json"));
+const baseline = __ENV.BASELINE ? JSON.parse(open(__ENV.BASELINE)) : null;
+const measured = __ENV.LATENCY_FROM ? JSON.parse(open(__ENV.LATENCY_FROM)) : null;
+
+let env = __ENV.ENV;
+let configJson = loadConfig({
+    base: "../${service}/config/base.json",
+    environments: "../${service}/config/env.json",
+    required: ${required}
+});
+
+let baseURL = configJson.url;
+let client = createClient(Object.assign({baseURL: baseURL}, configJson.http));
+let thinkTime = createThinkTime(configJson.thinkTime);
+let breaker = createBreaker(configJson.breaker);
+let lifecycle = createLifecycle({
+    suite: "${service}",
+    env: env,
+    baseURL: baseURL,
+    client: client,
+    config: configJson.lifecycle,
+    dryRun: planMode()
+});
+export {baseURL, configJson, client, thinkTime, breaker}
+
+let perfscenarios = buildScenarios("callList", {
+    startRate: 1,
+    target: 10,
+    startTarget: 1,
+    timeUnit: "1s",
+    rampUp: "10s",
+    preAllocatedVUs: 1,
+    maxVUs: 50
+});
+
+  let LoadThresholds = abortAtBreakpoint(applyBaseline(buildThresholds(transactions, slaConfig, env), baseline, transactions, slaConfig, env), __ENV.scenario);
+
+  let selectedScenarios = lifecycle.warmUp(selectScenarios(perfscenarios, __ENV.scenario));
+  let planSettings = {
+    transactions: transactions,
+    thresholds: LoadThresholds,
+    sla: slaConfig,
+    env: env,
+    thinkTime: thinkTime,
+    measured: measured
+  };
+  let testPlan = buildPlan(selectedScenarios, planSettings);
+  if (autoVUs()) {
+    selectedScenarios = applyCapacity(selectedScenarios, testPlan.capacity);
+    testPlan = buildPlan(selectedScenarios, planSettings);
+  }
+  validatePlan(testPlan);
+  let segment = planMode() ? {} : segmentOptions();
+
+  export let options = {
+
+    summaryTrendStats : ["min", "max", "avg", "p(95)", "p(99)", "count"],
+    executionSegment : segment.executionSegment,
+    executionSegmentSequence : segment.executionSegmentSequence,
+    scenarios : planMode() ? planScenarios() : selectedScenarios,
+    thresholds : planMode() ? {} : LoadThresholds
+  }
+
+  export function setup(){
+    logConfig(env, configJson);
+    return lifecycle.setup();
+  }
+
+  export function teardown(data){
+    lifecycle.teardown(data);
+  }
+
+  export function handleSummary(data){
+    if (planMode()) {
+      return planOutputs(testPlan, {suite: "${service}", env: env});
+    }
+    return summaryOutputs(data, {
+      suite: "${service}",
+      env: env,
+      scenario: Object.keys(options.scenarios).join(","),
+      transactions: transactions,
+      baseline: baseline,
+      sla: slaConfig,
+      breaker: breaker
+    });
+  }
+
+  //k6 run main.js -e ENV=qa -e STEADYSTATE=30s -e scenario=SingleUser
+  //k6 run main.js -e ENV=qa -e STEADYSTATE=30s -e PLAN=true
+  //k6 run main.js -e ENV=qa -e STEADYSTATE=30s -e scenario=LoadTest -e LATENCY_FROM=results/${service}-summary.json -e AUTO_VUS=true
+  //k6 run main.js -e ENV=qa -e STEADYSTATE=30s -e scenario=LoadTest -e WORKERS=2 -e WORKER=0   then   node ../Tools/merge.mjs results ${service}
+  //k6 run main.js -e ENV=qa -e STEADYSTATE=30s -e scenario=LoadTest --out json=results/${service}-raw.json.gz   then   node ../Tools/timeseries.mjs results/${service}-raw.json.gz
+  //k6 run main.js -e ENV=qa -e STEADYSTATE=30s -e scenario=LoadTest -e WARMUP=30s
+  //k6 run main.js -e ENV=qa -e STEADYSTATE=30s -e scenario=LoadTest -e BREAKER=true
+`;
+}
+
+function baseConfig(transactions, baseURL) {
+    let recorded = {};
+    transactions.forEach((t) => (recorded[t.name] = t.page.thinkTime));
+    // the first recorded page is what the pre-flight check of setup() requests
+    let first = transactions.length ? transactions[0].page.requests.find((r) => r.method == "GET" && r.url.indexOf(baseURL) == 0) : undefined;
+    return {
+        lifecycle: {
+            healthCheck: { path: first ? first.url.slice(baseURL.length).replace(/#.*$/, "") || "/" : "/", status: [200], retries: 3, interval: "2s", timeout: "10s" },
+            warmUp: { duration: null, vus: 1 }
+        },
+        breaker: { enabled: false, window: "30s", minRequests: 10, errorRate: 0.5, p95: null, action: "abort", cooldown: "30s", transactions: {} },
+        http: { profile: "edge", timeout: "60s", rotateUserAgents: false },
+        thinkTime: { default: 0, transactions: recorded, pacing: 0 }
+    };
+}
+
+function envConfig(baseURL, env, credentials) {
+    let config = {};
+    config[env] = { url: baseURL };
+    if (credentials) {
+        config[env].creds = { username: credentials.username || "", password: "${secret}" };
+    }
+    return config;
+}
+
+function slaConfig(env) {
+    let environments = {};
+    environments[env] = { defaults: {}, transactions: {} };
+    return {
+        defaults: { p95: 500, checkRate: 1, errorRate: 0, minTps: 0 },
+        transactions: {},
+        environments: environments
+    };
+}
+
+function detectHiddenFieldCorrelations(pages) {
+    let fields = [];
+    let names = {};
+    let requests = [];
+    pages.forEach((page) => page.requests.forEach((r) => requests.push(r)));
+
+    requests.forEach(function (request) {
+        request.extract = request.extract || [];
+
+        // values sent by this request that an earlier response handed out
+        fields.forEach(function (field) {
+            let replaced = replaceValue(request, field.value, `\${${field.name}}`);
+            if (replaced && field.rule.used !== true) {
+                field.rule.used = true;
+                field.source.extract.push(field.rule);
+            }
+        });
+
+        hiddenInputs(request.responseBody || "").forEach(function (input) {
+            if (!input.name || !input.value || input.value.length < 4) {
+                return;
+            }
+            names[input.name] = (names[input.name] || 0) + 1;
+            let name = names[input.name] == 1 ? input.name : input.name + names[input.name];
+            fields = fields.filter((f) => f.value !== input.value);
+            fields.push({
+                name: name,
+                value: input.value,
+                source: request,
+                rule: { name: name, selector: `input[name=${input.name}]`, attribute: "value" }
+            });
+        });
+    });
+
+    requests.forEach(function (request) {
+        request.extract.forEach((rule) => delete rule.used);
+        delete request.responseBody;
+    });
+}
+
+// swaps recorded credentials for references to configJson.creds, see above
+function detectCredentials(pages) {
+    let requests = [];
+    pages.forEach((page) => page.requests.forEach((r) => requests.push(r)));
+
+    let passwords = [];
+    let found = function (request, kind, value) {
+        request.credentials = request.credentials || {};
+        if (kind == "username" && request.credentials.username === undefined) {
+            request.credentials.username = value;
+        }
+        if (kind == "password" && passwords.indexOf(value) == -1 && value !== "") {
+            passwords.push(value);
+        }
+        return credentialRefs[kind];
+    };
+
+    // first the fields named like credentials, then whatever else sends a recorded password
+    [false, true].forEach(function (byValue) {
+        requests.forEach(function (request) {
+            let swap = function (name, value) {
+                if (typeof value !== "string") {
+                    return value;
+                }
+                if (byValue) {
+                    return passwords.indexOf(value) != -1 ? found(request, "password", value) : value;
+                }
+                return passwordField.test(name) ? found(request, "password", value) : value;
+            };
+            let withUser = function (fields) {
+                let names = Object.keys(fields);
+                if (!byValue && names.some((name) => passwordField.test(name))) {
+                    names.filter((name) => usernameField.test(name) && typeof fields[name] === "string")
+                        .forEach((name) => (fields[name] = found(request, "username", fields[name])));
+                }
+            };
+            request.body = credentialBody(request.body, swap, withUser);
+            request.url = credentialQuery(request.url, swap, withUser);
+        });
+    });
+}
+
+function credentialBody(body, swap, withUser) {
+    if (typeof body === "string") {
+        let json;
+        try {
+            json = JSON.parse(body);
+        } catch (e) {
+            return /=/.test(body) && !/\s/.test(body) ? credentialForm(body, swap, withUser) : body;
+        }
+        return json !== null && typeof json === "object" ? JSON.stringify(credentialObject(json, swap, withUser)) : body;
+    }
+    return body !== null && typeof body === "object" ? credentialObject(body, swap, withUser) : body;
+}
+
+function credentialObject(value, swap, withUser) {
+    if (Array.isArray(value)) {
+        return value.map((item) => (item !== null && typeof item === "object" ? credentialObject(item, swap, withUser) : item));
+    }
+    let copy = {};
+    Object.keys(value).forEach(function (key) {
+        let item = value[key];
+        copy[key] = item !== null && typeof item === "object" ? credentialObject(item, swap, withUser) : swap(key, item);
+    });
+    withUser(copy);
+    return copy;
+}
+
+// a=1&b=2 bodies and query strings, values are kept encoded apart from the swapped ones
+function credentialForm(text, swap, withUser) {
+    let fields = {};
+    let pairs = text.split("&").map(function (pair) {
+        let [name, ...rest] = pair.split("=");
+        let raw = rest.join("=");
+        let swapped = swap(safeDecode(name), safeDecode(raw));
+        fields[safeDecode(name)] = swapped === safeDecode(raw) ? raw : swapped;
+        return { name: name, hasValue: rest.length > 0 };
+    });
+    withUser(fields);
+    return pairs.map((pair) => (pair.hasValue ? `${pair.name}=${fields[safeDecode(pair.name)]}` : pair.name)).join("&");
+}
+
+function credentialQuery(url, swap, withUser) {
+    let match = /^([^?#]*\?)([^#]*)(#.*)?$/.exec(url);
+    return match && match[2] ? match[1] + credentialForm(match[2], swap, withUser) + (match[3] || "") : url;
+}
+
+function safeDecode(text) {
+    try {
+        return decodeURIComponent(text.replace(/\+/g, " "));
+    } catch (e) {
+        return text;
+    }
+}
+
+function recordedCredentials(pages) {
+    let credentials = null;
+    pages.forEach((page) => page.requests.forEach(function (request) {
+        if (request.credentials) {
+            credentials = credentials || {};
+            if (credentials.username === undefined) {
+                credentials.username = request.credentials.username;
+            }
+        }
+    }));
+    return credentials;
+}
+
+function replaceMarkers(pages, markers) {
+    pages.forEach(function (page) {
+        page.requests.forEach(function (request) {
+            Object.keys(markers).forEach(function (marker) {
+                let info = markers[marker];
+                if (replaceValue(request, marker, `\${${info.rule.name}}`) && info.source.extract.indexOf(info.rule) == -1) {
+                    info.source.extract.push(info.rule);
+                }
+            });
+        });
+    });
+}
+
+function stubResponse(request, markers) {
+    let names = {};
+    let marker = function (rule) {
+        let base = rule.selector ? (/name=["']?([\w-]+)/.exec(rule.selector) || [, "value"])[1] : "value";
+        let existing = Object.keys(markers).filter((m) => markers[m].rule.name.replace(/\d+$/, "") == base).length;
+        rule = Object.assign({ name: existing ? base + (existing + 1) : base }, rule);
+        let key = `__CORR_${Object.keys(markers).length}__`;
+        markers[key] = { rule: rule, source: request };
+        return key;
+    };
+    let selection = function (selector) {
+        let element = {
+            attr: (attribute) => marker({ selector: selector, attribute: attribute }),
+            val: () => marker({ selector: selector, attribute: "value" }),
+            text: () => marker({ selector: selector })
+        };
+        element.first = () => element;
+        element.last = () => element;
+        element.eq = () => element;
+        return element;
+    };
+
+    return {
+        status: 200,
+        body: "",
+        headers: {},
+        cookies: {},
+        html: () => ({ find: selection }),
+        json: (expression) => marker({ json: expression || "" })
+    };
+}
+
+function replaceValue(request, value, reference) {
+    let replaced = false;
+    let swap = function (text) {
+        if (typeof text === "string" && text.indexOf(value) != -1) {
+            replaced = true;
+            return text.split(value).join(reference);
+        }
+        return text;
+    };
+
+    request.url = swap(request.url);
+    if (typeof request.body === "string") {
+        request.body = swap(request.body);
+    } else if (request.body) {
+        Object.keys(request.body).forEach((k) => (request.body[k] = swap(request.body[k])));
+    }
+    Object.keys(request.headers).forEach((h) => (request.headers[h] = swap(request.headers[h])));
+    return replaced;
+}
+
+function hiddenInputs(html) {
+    let inputs = [];
+    let tag = /<input\b[^>]*>/gi;
+    let match;
+    while ((match = tag.exec(html))) {
+        let attributes = {};
+        match[0].replace(/([\w-]+)\s*=\s*("([^"]*)"|'([^']*)'|([^\s>]+))/g, function (m, key, raw, dq, sq, bare) {
+            attributes[key.toLowerCase()] = dq !== undefined ? dq : sq !== undefined ? sq : bare;
+        });
+        if ((attributes.type || "").toLowerCase() == "hidden") {
+            inputs.push({ name: attributes.name, value: attributes.value });
+        }
+    }
+    return inputs;
+}
+
+function headerObject(headers = []) {
+    let result = {};
+    headers.forEach(function (h) {
+        if (!droppedHeaders.test(h.name)) {
+            result[h.name] = h.value;
+        }
+    });
+    return result;
+}
+
+function harBody(postData) {
+    if (!postData) {
+        return null;
+    }
+    if (postData.params && postData.params.length && /x-www-form-urlencoded/i.test(postData.mimeType || "")) {
+        let form = {};
+        postData.params.forEach((p) => (form[decodeURIComponent(p.name)] = decodeURIComponent((p.value || "").replace(/\+/g, " "))));
+        return form;
+    }
+    return postData.text || null;
+}
+
+function expectedStatus(page) {
+    let statuses = [200];
+    page.requests.forEach(function (r) {
+        if (r.status && r.status < 400 && statuses.indexOf(r.status) == -1) {
+            statuses.push(r.status);
+        }
+    });
+    return statuses.sort((a, b) => a - b);
+}
+
+function transactionLabel(page, used) {
+    let source = page.title;
+    if (!source || /^page_\d+/i.test(source) || /^https?:\/\//i.test(source)) {
+        let pathname = new URL(page.requests[0].url.replace(/\$\{[\w.]+\}/g, "x")).pathname;
+        source = (pathname.split("/").filter(Boolean).pop() || "Home").replace(/\.\w+$/, "");
+    }
+    let label = source
+        .split(/[^A-Za-z0-9]+/)
+        .filter(Boolean)
+        .map((w) => w.charAt(0).toUpperCase() + w.slice(1))
+        .join("") || "Page";
+
+    used[label] = (used[label] || 0) + 1;
+    return used[label] == 1 ? label : label + used[label];
+}
+
+function functionName(name) {
+    let label = name.replace(/^T\d+_/, "");
+    return label.charAt(0).toLowerCase() + label.slice(1);
+}
+
+function urlExpression(url, baseURL) {
+    if (origin(url) == baseURL) {
+        let rest = url.slice(baseURL.length);
+        return JSON.stringify(rest == "/" ? "" : rest);
+    }
+    return JSON.stringify(url);
+}
+
+function origin(url) {
+    let match = /^(https?:\/\/[^/?#]+)/i.exec(url);
+    return match ? match[1] : url;
+}
+
+function indent(text, spaces) {
+    if (spaces < 0) {
+        return text.split("\n").map((line) => line.replace(new RegExp(`^ {0,${-spaces}}`), "")).join("\n");
+    }
+    return text.split("\n").join("\n" + " ".repeat(spaces));
+}
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+function main(argv) {
+    let args = argv.slice(2);
+    let option = function (name, fallback) {
+        let i = args.indexOf(name);
+        if (i == -1) {
+            return fallback;
+        }
+        let value = args[i + 1];
+        args.splice(i, 2);
+        return value;
+    };
+    let includeStatic = args.indexOf("--include-static") != -1;
+    args = args.filter((a) => a != "--include-static");
+    let out = option("--out", ".");
+    let env = option("--env", "qa");
+
+    if (args.length != 2) {
+        console.error("Usage: node Tools/convert.mjs <recording.har|recorder.js> <ServiceName> [--out <dir>] [--env qa] [--include-static]");
+        process.exit(1);
+    }
+
+    let [input, service] = args;
+    let source = fs.readFileSync(input, "utf8");
+    let pages = /\.har$/i.test(input) || /^\s*\{/.test(source)
+        ? parseHar(JSON.parse(source), { includeStatic: includeStatic })
+        : parseRecorderScript(source);
+
+    if (!pages.length) {
+        console.error(`No requests found in ${input}`);
+        process.exit(1);
+    }
+
+    let files = renderService(pages, { service: service, env: env });
+    Object.keys(files).forEach(function (file) {
+        let target = path.join(out, file);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, files[file]);
+        console.log(`wrote ${target}`);
+    });
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) == path.resolve(new URL(import.meta.url).pathname)) {
+    main(process.argv);
+}
@@ -0,0 +1,335 @@
+#!/usr/bin/env node
+/**
+ * Generates the Kubernetes/OpenShift Job that runs a suite, from a run spec:
+ *
+ *   {
+ *     "suite": "DemoServiceUI",
+ *     "scenario": "LoadTest",
+ *     "env": "qa",
+ *     "duration": "3m",
+ *     "vars": {"TARGET": 50, "AUTO_VUS": true},
+ *     "resources": {"requests": {"memory": "50Mi", "cpu": "500m"}, "limits": {"memory": "75Mi", "cpu": "1"}},
+ *     "parallelism": 1,
+ *     "outputs": {"resultsDir": "/results", "volume": "k6-results", "out": ["json=/results/raw.json"], "log": "k6.log"},
+ *     "secrets": {"git": "k6-perf-git", "config": "demoserviceui-qa"}
+ *   }
+ *
+ *   suite, scenario, env - what to run; env must exist in <suite>/config/env.json
+ *   duration             - STEADYSTATE of the scenarios
+ *   vars                 - any other -e variable
+ *   resources            - container requests/limits, the defaults match the sandbox quota
+ *   parallelism          - pods started by the Job; above 1 the Job is Indexed and each pod runs
+ *                          its execution segment of the load (WORKERS, see Common/distributed.js)
+ *   outputs              - RESULTS_DIR root (every job writes to its own sub folder),
+ *                          the PVC mounted there (an emptyDir when left out), k6 --out options
+ *                          and the file the k6 log goes to in that sub folder (--log-output, so
+ *                          LOG_CAPTURE=failed exchanges are kept with the summaries; workers
+ *                          of a parallel Job write k6-worker<i>.log, and json=/csv= outputs
+ *                          get the same -worker<i> suffix); null leaves it on the pod log
+ *   secrets              - secret holding the git token under "token" (left out for a public clone),
+ *                          secret holding a SECRETS_FILE under "secrets.json" (credentials, see Common/config.js)
+ *                          and any credential feeder file it points to, e.g. /etc/k6-secrets/config/users.csv;
+ *                          both are mounted read-only, never written into the manifest
+ *
+ * namespace, cluster, image, gitImage, repo and branch can be set in the
+ * spec as well. Every flag overrides its spec key, --var adds to vars:
+ *
+ *   node Tools/jobgen.mjs [--spec run.json] [--suite S] [--scenario S] [--env E] [--duration 3m]
+ *                         [--var NAME=VALUE ...] [--parallelism N] [--out job.yaml]
+ *   node Tools/jobgen.mjs --spec k6-run.json | oc create -f -     (what .github/workflows/openshift.yml runs)
+ *
+ * Job names are unique per generation (suite, scenario and a timestamp), so
+ * runs never collide with the Job of a previous run. Workers of a parallel
+ * Job write to the same RESULTS_DIR, merge them with Tools/merge.mjs.
+ */
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+
+const repoRoot = path.resolve(path.dirname(new URL(import.meta.url).pathname), "..");
+const workDir = "/tmp";
+const secretsDir = "/etc/k6-secrets";
+
+export const defaults = {
+    namespace: "senarindam21-dev",
+    cluster: "OCP4-SANDBOX-CLUSTER",
+    image: "image-registry.openshift-image-registry.svc:5000/senarindam21-dev/k6-image:v0.53.0",
+    gitImage: "image-registry.openshift-image-registry.svc:5000/senarindam21-dev/kubectl:latest",
+    repo: "github.com/senarindam21/K6-Perf.git",
+    branch: "main",
+    scenario: "LoadTest",
+    env: "qa",
+    duration: "3m",
+    parallelism: 1,
+    resources: { requests: { memory: "50Mi", cpu: "500m" }, limits: { memory: "75Mi", cpu: "1" } },
+    outputs: { resultsDir: "/results", log: "k6.log" },
+    secrets: {}
+};
+
+/**
+ * Fills in the defaults and checks a run spec.
+ *
+ * @param {Object} spec - run spec, see above
+ * @param {String} root - repository root, used to check the suite and environment
+ * @returns {Object} - the complete spec
+ */
+export function resolveSpec(spec, root = repoRoot) {
+    let run = Object.assign({}, defaults, spec);
+    run.resources = {
+        requests: Object.assign({}, defaults.resources.requests, (spec.resources || {}).requests),
+        limits: Object.assign({}, defaults.resources.limits, (spec.resources || {}).limits)
+    };
+    run.outputs = Object.assign({}, defaults.outputs, spec.outputs);
+    run.secrets = Object.assign({}, spec.secrets);
+    run.vars = Object.assign({}, spec.vars);
+
+    if (!run.suite) {
+        throw new Error("The run spec needs a suite");
+    }
+    if (!fs.existsSync(path.join(root, run.suite, "main.js"))) {
+        throw new Error(`Unknown suite "${run.suite}": ${run.suite}/main.js not found`);
+    }
+    let envs = Object.keys(JSON.parse(fs.readFileSync(path.join(root, run.suite, "config", "env.json"), "utf8")));
+    if (envs.indexOf(run.env) == -1) {
+        throw new Error(`Unknown environment "${run.env}" for ${run.suite}. Valid environments: ${envs.join(", ")}`);
+    }
+    let scenarios = knownScenarios(root);
+    run.scenario.split(",").forEach(function (name) {
+        if (scenarios.indexOf(name.trim()) == -1) {
+            throw new Error(`Unknown scenario "${name}". Valid scenarios: ${scenarios.join(", ")}`);
+        }
+    });
+    if (!/^(\d+(\.\d+)?(ms|s|m|h))+$/.test(run.duration)) {
+        throw new Error(`Invalid duration "${run.duration}", expected a value such as 30s, 3m or 1h`);
+    }
+    if (!Number.isInteger(Number(run.parallelism)) || Number(run.parallelism) < 1) {
+        throw new Error(`Invalid parallelism "${run.parallelism}", expected a whole number >= 1`);
+    }
+    Object.keys(run.vars).forEach(function (name) {
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+            throw new Error(`Invalid variable name "${name}"`);
+        }
+        if (/(pass(word)?|secret|token|api[-_]?key)/i.test(name)) {
+            throw new Error(`Variable ${name} looks like a secret; put it in the config secret instead of the manifest`);
+        }
+    });
+    return run;
+}
+
+/**
+ * Unique, DNS-1123 compliant Job name.
+ *
+ * @param {Object} run - resolved spec
+ * @param {Date} now - generation time
+ * @returns {String} - job name, at most 63 characters
+ */
+export function jobName(run, now = new Date()) {
+    let stamp = now.toISOString().replace(/[-:T]/g, "").slice(0, 14);
+    let prefix = `k6-${run.suite}-${run.scenario.split(",")[0]}`.toLowerCase().replace(/[^a-z0-9-]+/g, "-");
+    return `${prefix.slice(0, 63 - stamp.length - 6)}-${stamp}-${crypto.randomBytes(2).toString("hex")}`;
+}
+
+/**
+ * The k6 command line of a run.
+ *
+ * @param {Object} run - resolved spec
+ * @param {String} name - job name, results go to <resultsDir>/<name>
+ * @returns {Array<String>} - command and arguments
+ */
+export function k6Command(run, name) {
+    let parallel = Number(run.parallelism) > 1;
+    let vars = Object.assign({
+        ENV: run.env,
+        scenario: run.scenario,
+        STEADYSTATE: run.duration,
+        RESULTS_DIR: `${run.outputs.resultsDir}/${name}`
+    }, run.vars);
+    if (parallel) {
+        vars.WORKERS = Number(run.parallelism);
+    }
+    if (run.secrets.config) {
+        vars.SECRETS_FILE = `${secretsDir}/config/secrets.json`;
+    }
+
+    let command = ["k6", "run", `${workDir}/${run.suite}/main.js`];
+    Object.keys(vars).forEach((key) => command.push("-e", `${key}=${vars[key]}`));
+    (run.outputs.out || []).forEach(function (out) {
+        let file = /^(json|csv)=(.+)$/.exec(out);
+        command.push("--out", file && parallel ? `${file[1]}=${workerFile(file[2])}` : out);
+    });
+    if (run.outputs.log) {
+        command.push(`--log-output=file=${vars.RESULTS_DIR}/${parallel ? workerFile(run.outputs.log) : run.outputs.log}`);
+    }
+    return command;
+}
+
+/**
+ * Builds the Job manifest.
+ *
+ * @param {Object} run - resolved spec
+ * @param {String} name - job name
+ * @returns {Object} - Job resource
+ */
+export function buildJob(run, name) {
+    let gitVolume = { mountPath: workDir, readOnly: false, name: "git" };
+    let clone = run.secrets.git
+        ? `git clone -v --branch ${run.branch} https://$(cat ${secretsDir}/git/token)@${run.repo} ${workDir}`
+        : `git clone -v --branch ${run.branch} https://${run.repo} ${workDir}`;
+
+    let initMounts = [gitVolume];
+    let mounts = [gitVolume, { mountPath: run.outputs.resultsDir, readOnly: false, name: "results" }];
+    let volumes = [
+        { name: "git", emptyDir: {} },
+        run.outputs.volume ? { name: "results", persistentVolumeClaim: { claimName: run.outputs.volume } } : { name: "results", emptyDir: {} }
+    ];
+    if (run.secrets.git) {
+        initMounts.push({ mountPath: `${secretsDir}/git`, readOnly: true, name: "git-secret" });
+        volumes.push({ name: "git-secret", secret: { secretName: run.secrets.git, defaultMode: 288 } });
+    }
+    if (run.secrets.config) {
+        mounts.push({ mountPath: `${secretsDir}/config`, readOnly: true, name: "config-secret" });
+        volumes.push({ name: "config-secret", secret: { secretName: run.secrets.config, defaultMode: 288 } });
+    }
+
+    let labels = { app: "k6", suite: run.suite.toLowerCase(), scenario: run.scenario.split(",")[0].toLowerCase(), env: run.env };
+    return {
+        apiVersion: "batch/v1",
+        kind: "Job",
+        metadata: { name: name, namespace: run.namespace, labels: labels },
+        spec: {
+            backoffLimit: 0,
+            parallelism: Number(run.parallelism),
+            completions: Number(run.parallelism),
+            completionMode: Number(run.parallelism) > 1 ? "Indexed" : undefined,
+            template: {
+                metadata: {
+                    name: name,
+                    labels: labels,
+                    annotations: { "cluster-context": run.cluster, namespace: run.namespace }
+                },
+                spec: {
+                    initContainers: [{
+                        name: "git-clone",
+                        image: run.gitImage,
+                        command: ["sh", "-c", clone],
+                        volumeMounts: initMounts,
+                        resources: { requests: { memory: "256Mi", cpu: "500m" }, limits: { memory: "1G", cpu: "1" } }
+                    }],
+                    containers: [{
+                        name: "k6",
+                        image: run.image,
+                        workingDir: `${workDir}/${run.suite}`,
+                        command: k6Command(run, name),
+                        volumeMounts: mounts,
+                        resources: run.resources
+                    }],
+                    restartPolicy: "Never",
+                    volumes: volumes
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Serialises plain JSON data as block style YAML.
+ *
+ * @param {Object} value - objects, arrays, strings, numbers and booleans; undefined keys are left out
+ * @param {Number} indent - current indentation
+ * @returns {String} - YAML text
+ */
+export function toYaml(value, indent = 0) {
+    let pad = " ".repeat(indent);
+    if (Array.isArray(value)) {
+        return value.map(function (item) {
+            let text = toYaml(item, indent + 2);
+            return isScalar(item) ? `${pad}- ${text}` : `${pad}- ${text.slice(indent + 2)}`;
+        }).join("\n");
+    }
+    if (value !== null && typeof value === "object") {
+        let keys = Object.keys(value).filter((key) => value[key] !== undefined);
+        if (keys.length == 0) {
+            return "{}";
+        }
+        return keys.map(function (key) {
+            let item = value[key];
+            if (isScalar(item) || (typeof item === "object" && Object.keys(item).length == 0)) {
+                return `${pad}${scalar(key)}: ${isScalar(item) ? scalar(item) : Array.isArray(item) ? "[]" : "{}"}`;
+            }
+            return `${pad}${scalar(key)}:\n${toYaml(item, Array.isArray(item) ? indent : indent + 2)}`;
+        }).join("\n");
+    }
+    return scalar(value);
+}
+
+function isScalar(value) {
+    return value === null || typeof value !== "object";
+}
+
+function scalar(value) {
+    if (typeof value !== "string") {
+        return String(value);
+    }
+    let plain = /^[A-Za-z_/][A-Za-z0-9_./-]*$/.test(value) && !/^(true|false|yes|no|on|off|null|y|n)$/i.test(value);
+    return plain ? value : JSON.stringify(value);
+}
+
+// the profile names Common/scenarios.js builds
+function knownScenarios(root) {
+    return JSON.parse(fs.readFileSync(path.join(root, "Common", "scenarios.json"), "utf8"));
+}
+
+// every worker of an Indexed Job writes its own file: raw.json.gz -> raw-worker<i>.json.gz
+function workerFile(file) {
+    return file.replace(/(\.[^./]*)*$/, (extension) => `-worker$(JOB_COMPLETION_INDEX)${extension}`);
+}
+
+function main(argv) {
+    let args = argv.slice(2);
+    let option = function (name) {
+        let i = args.indexOf(name);
+        return i == -1 ? undefined : args[i + 1];
+    };
+
+    let spec = option("--spec") ? JSON.parse(fs.readFileSync(option("--spec"), "utf8")) : {};
+    ["suite", "scenario", "env", "duration", "parallelism"].forEach(function (key) {
+        if (option(`--${key}`) !== undefined) {
+            spec[key] = option(`--${key}`);
+        }
+    });
+    args.forEach(function (arg, i) {
+        if (arg == "--var") {
+            let [key, ...value] = args[i + 1].split("=");
+            spec.vars = Object.assign({}, spec.vars, { [key]: value.join("=") });
+        }
+    });
+
+    if (!spec.suite) {
+        console.error("Usage: node Tools/jobgen.mjs [--spec run.json] [--suite S] [--scenario S] [--env E] [--duration 3m] " +
+            "[--var NAME=VALUE ...] [--parallelism N] [--out job.yaml]");
+        process.exit(1);
+    }
+
+    let run;
+    try {
+        run = resolveSpec(spec);
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+    if (run.parallelism > 1 && !run.outputs.volume) {
+        console.error(`warning: ${run.parallelism} workers write to their own emptyDir; set outputs.volume to a shared PVC to merge their results`);
+    }
+
+    let yaml = `# generated by node Tools/jobgen.mjs ${argv.slice(2).join(" ")}\n` + toYaml(buildJob(run, jobName(run))) + "\n";
+    if (option("--out")) {
+        fs.writeFileSync(option("--out"), yaml);
+        console.error(`wrote ${option("--out")}`);
+    } else {
+        process.stdout.write(yaml);
+    }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) == path.resolve(new URL(import.meta.url).pathname)) {
+    main(process.argv);
+}
@@ -0,0 +1,308 @@
+#!/usr/bin/env node
+/**
+ * Merges the per-worker summaries of a distributed run (see
+ * Common/distributed.js) into one summary and threshold verdict.
+ *
+ * Reads <dir>/<Suite>-worker<i>-summary.json, writes <out>/<Suite>-summary.json
+ * in the same shape as a single-instance summary (so it can be used as a
+ * BASELINE or LATENCY_FROM), prints the per-transaction figures and exits
+ * like k6 does: 99 when a threshold is crossed, 0 otherwise; 1 when a
+ * worker's summary is missing.
+ *
+ * Counts, rates, min, max and averages are exact and their thresholds are
+ * evaluated on the merged values. Percentiles and medians cannot be
+ * recombined from per-worker values: the figures shown for them (P95~, P99~)
+ * are the count-weighted mean of the workers' values, and a threshold on them
+ * holds only when it held on every worker. A worker that crossed one never
+ * merges to a pass.
+ * Circuit breaker trips (see Common/breaker.js) are added up across workers.
+ *
+ * Runs under Node, no dependencies:
+ *   node Tools/merge.mjs <results dir> <Suite> [--out <dir>]
+ */
+import fs from "node:fs";
+import path from "node:path";
+
+const thresholdExpression = /^\s*(\w+(?:\(\d+(?:\.\d+)?\))?)\s*(<=|>=|===|==|!=|<|>)\s*(-?\d+(?:\.\d+)?)\s*$/;
+const errorClasses = ["4xx", "5xx", "timeout", "connection", "assertion", "correlation"];
+const trackingThreshold = "count >= 0";
+const approximateStat = /^(p\(\d+(?:\.\d+)?\)|med)$/;
+
+/**
+ * Loads the worker summaries of a suite.
+ *
+ * @param {String} dir - results directory shared by the workers
+ * @param {String} suite - suite name
+ * @returns {Array<Object>} - parsed summaries ordered by worker index
+ */
+export function readWorkerSummaries(dir, suite) {
+    let pattern = new RegExp(`^${suite}-worker(\\d+)-summary\\.json$`);
+    return fs.readdirSync(dir)
+        .filter((file) => pattern.test(file))
+        .map((file) => JSON.parse(fs.readFileSync(path.join(dir, file), "utf8")))
+        .sort((a, b) => a.worker.index - b.worker.index);
+}
+
+/**
+ * Combines the values of one metric across workers.
+ *
+ * @param {String} type - k6 metric type: counter, rate, gauge or trend
+ * @param {Array<Object>} values - the metric's values from every worker
+ * @returns {Object} - merged values
+ */
+export function mergeValues(type, values) {
+    let sum = (key) => values.reduce((total, v) => total + (v[key] || 0), 0);
+    switch (type) {
+        case "counter":
+            return { count: sum("count"), rate: sum("rate") };
+        case "rate": {
+            let passes = sum("passes");
+            let fails = sum("fails");
+            return { passes: passes, fails: fails, rate: passes + fails > 0 ? passes / (passes + fails) : 0 };
+        }
+        case "gauge":
+            return {
+                value: Math.max(...values.map((v) => v.value)),
+                min: Math.min(...values.map((v) => v.min)),
+                max: Math.max(...values.map((v) => v.max))
+            };
+        default: {
+            let count = sum("count");
+            let merged = {
+                count: count,
+                min: Math.min(...values.map((v) => v.min)),
+                max: Math.max(...values.map((v) => v.max))
+            };
+            Object.keys(values[0]).filter((key) => ["count", "min", "max"].indexOf(key) == -1).forEach(function (key) {
+                merged[key] = count > 0 ? values.reduce((total, v) => total + (v[key] || 0) * (v.count || 0), 0) / count : 0;
+            });
+            return merged;
+        }
+    }
+}
+
+/**
+ * Evaluates a k6 threshold expression such as "p(95) < 500" against
+ * merged values.
+ *
+ * @param {String} expression - threshold expression
+ * @param {Object} values - merged metric values
+ * @returns {Boolean} - true when the threshold holds
+ */
+export function evaluate(expression, values) {
+    let match = thresholdExpression.exec(expression);
+    if (!match || values[match[1]] === undefined) {
+        return false;
+    }
+    let actual = values[match[1]];
+    let limit = Number(match[3]);
+    switch (match[2]) {
+        case "<":
+            return actual < limit;
+        case "<=":
+            return actual <= limit;
+        case ">":
+            return actual > limit;
+        case ">=":
+            return actual >= limit;
+        case "!=":
+            return actual != limit;
+        default:
+            return actual == limit;
+    }
+}
+
+/**
+ * Decides a threshold of the merged summary. Exact stats are evaluated on the
+ * merged values; percentiles and medians take the workers' own verdicts,
+ * since the merged value is only an approximation.
+ *
+ * @param {String} expression - threshold expression
+ * @param {Object} values - merged metric values
+ * @param {Array<Boolean>} verdicts - the threshold's result on each worker that has the metric
+ * @returns {Object} - {threshold, ok, approximate}
+ */
+export function mergeThreshold(expression, values, verdicts) {
+    let match = thresholdExpression.exec(expression);
+    if (match && approximateStat.test(match[1])) {
+        return { threshold: expression, ok: verdicts.length > 0 && verdicts.every((ok) => ok === true), approximate: true };
+    }
+    return { threshold: expression, ok: evaluate(expression, values), approximate: false };
+}
+
+/**
+ * Merges worker summaries into one summary.
+ *
+ * @param {Array<Object>} summaries - output of readWorkerSummaries
+ * @returns {Object} - merged summary, plus {workers, missing}
+ */
+export function mergeSummaries(summaries) {
+    let first = summaries[0];
+    let expected = first.worker.count;
+    let present = summaries.map((s) => s.worker.index);
+    let missing = [];
+    for (let i = 0; i < expected; i++) {
+        if (present.indexOf(i) == -1) {
+            missing.push(i);
+        }
+    }
+
+    let metrics = {};
+    Object.keys(first.metrics).forEach(function (name) {
+        let parts = summaries.filter((s) => s.metrics[name]).map((s) => s.metrics[name]);
+        let values = mergeValues(parts[0].type, parts.map((p) => p.values));
+        metrics[name] = {
+            type: parts[0].type,
+            values: values,
+            thresholds: parts[0].thresholds.map(function (t) {
+                let verdicts = parts.map((p) => (p.thresholds.find((w) => w.threshold == t.threshold) || {}).ok);
+                return mergeThreshold(t.threshold, values, verdicts);
+            })
+        };
+    });
+
+    let thresholds = [];
+    Object.keys(metrics).forEach(function (name) {
+        metrics[name].thresholds.filter((t) => t.threshold != trackingThreshold).forEach(function (t) {
+            thresholds.push({ metric: name, threshold: t.threshold, ok: t.ok, approximate: t.approximate });
+        });
+    });
+
+    let transactions = {};
+    Object.keys(first.transactions).forEach(function (name) {
+        transactions[name] = transactionRow(name, metrics);
+    });
+
+    return {
+        suite: first.suite,
+        env: first.env,
+        scenario: first.scenario,
+        generatedAt: new Date().toISOString(),
+        durationMs: Math.max(...summaries.map((s) => s.durationMs || 0)),
+        transactions: transactions,
+        thresholds: thresholds,
+        breaker: mergeBreakers(summaries),
+        workers: expected,
+        missing: missing,
+        metrics: metrics
+    };
+}
+
+/**
+ * Renders the merged summary for the console.
+ *
+ * @param {Object} merged - output of mergeSummaries
+ * @returns {String} - text
+ */
+export function mergedText(merged) {
+    let line = (cols) => cols.map((c, i) => (i == 0 ? String(c).padEnd(28) : String(c).padStart(10))).join(" ");
+    let fixed = (v) => (v === undefined ? "-" : v.toFixed(2));
+    let failed = merged.thresholds.filter((t) => !t.ok);
+    let lines = [
+        "",
+        `     ${merged.suite} merged from ${merged.workers - merged.missing.length} of ${merged.workers} workers (env ${merged.env}, ${merged.scenario})`,
+        "",
+        "     " + line(["Transaction", "Count", "Avg", "P95~", "P99~", "Max", "Checks", "Failures", "Result"])
+    ];
+    Object.keys(merged.transactions).forEach(function (name) {
+        let r = merged.transactions[name];
+        lines.push("     " + line([
+            name, r.count === undefined ? "-" : r.count, fixed(r.avg), fixed(r.p95), fixed(r.p99), fixed(r.max),
+            r.checkRate === undefined ? "-" : `${(r.checkRate * 100).toFixed(1)}%`, r.failures === undefined ? "-" : r.failures,
+            r.passed ? "PASS" : "FAIL"
+        ]));
+    });
+    merged.breaker.forEach(function (b) {
+        let trips = Object.keys(b.trips).filter((cause) => b.trips[cause] > 0).map((cause) => `${b.trips[cause]}x ${cause}`);
+        lines.push("", `     ! circuit breaker of ${b.transaction} tripped ${trips.join(", ")}, ${b.skipped} skipped: ${b.rule}`);
+    });
+    if (merged.missing.length) {
+        lines.push("", `     ! no summary from worker ${merged.missing.join(", ")}; the figures cover part of the load only`);
+    }
+    lines.push("");
+    failed.forEach((t) => lines.push(`     ✗ ${t.metric} crossed ${t.threshold}${t.approximate ? " on at least one worker" : ""}`));
+    lines.push(`     ${failed.length ? "FAILED" : "PASSED"}: ${merged.thresholds.length - failed.length} of ${merged.thresholds.length} thresholds hold`);
+    return lines.join("\n") + "\n";
+}
+
+// adds up the circuit breaker trips the workers listed, per transaction
+function mergeBreakers(summaries) {
+    let merged = {};
+    summaries.forEach(function (s) {
+        (s.breaker || []).forEach(function (b) {
+            let target = merged[b.transaction] || (merged[b.transaction] = { transaction: b.transaction, trips: {}, skipped: 0, rule: b.rule });
+            Object.keys(b.trips).forEach((cause) => (target.trips[cause] = (target.trips[cause] || 0) + b.trips[cause]));
+            target.skipped += b.skipped;
+        });
+    });
+    return Object.keys(merged).map((name) => merged[name]);
+}
+
+function transactionRow(name, metrics) {
+    let values = (metric) => (metrics[metric] ? metrics[metric].values : {});
+    let duration = values(`http_req_duration{RT:${name}}`);
+    let checks = values(`checks{Checks:${name}}`);
+    let failed = values(`http_req_failed{FR:${name}}`);
+    let reqs = values(`http_reqs{TPS:${name}}`);
+    let page = values(`page_duration{Page:${name}}`);
+    let errors = {};
+    errorClasses.forEach((errorClass) => (errors[errorClass] = values(`errors_${errorClass}{Errors:${name}}`).count || 0));
+    let own = Object.keys(metrics).filter((metric) => metric.endsWith(`:${name}}`));
+
+    return {
+        name: name,
+        min: duration.min,
+        avg: duration.avg,
+        p95: duration["p(95)"],
+        p99: duration["p(99)"],
+        max: duration.max,
+        pageP95: page["p(95)"],
+        count: reqs.count !== undefined ? reqs.count : duration.count,
+        tps: reqs.rate,
+        checkRate: checks.rate,
+        failures: failed.passes !== undefined ? failed.passes : checks.fails,
+        errors: errors,
+        passed: own.every((metric) => metrics[metric].thresholds.every((t) => t.ok))
+    };
+}
+
+function main(argv) {
+    let args = argv.slice(2);
+    let option = function (name) {
+        let i = args.indexOf(name);
+        if (i == -1) {
+            return undefined;
+        }
+        let value = args[i + 1];
+        args.splice(i, 2);
+        return value;
+    };
+    let out = option("--out");
+
+    if (args.length != 2) {
+        console.error("Usage: node Tools/merge.mjs <results dir> <Suite> [--out <dir>]");
+        process.exit(1);
+    }
+
+    let [dir, suite] = args;
+    let summaries = readWorkerSummaries(dir, suite);
+    if (summaries.length == 0) {
+        console.error(`No ${suite}-worker<i>-summary.json files in ${dir}`);
+        process.exit(1);
+    }
+
+    let merged = mergeSummaries(summaries);
+    let target = path.join(out || dir, `${suite}-summary.json`);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, JSON.stringify(merged, null, 2));
+    process.stdout.write(mergedText(merged));
+    console.log(`\n     wrote ${target}`);
+    if (merged.missing.length) {
+        process.exit(1);
+    }
+    process.exit(merged.thresholds.every((t) => t.ok) ? 0 : 99);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) == path.resolve(new URL(import.meta.url).pathname)) {
+    main(process.argv);
+}
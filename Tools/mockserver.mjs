@@ -0,0 +1,275 @@
+#!/usr/bin/env node
+/**
+ * Local mock backend for running the suites without the public demo sites.
+ *
+ * Serves, on one port:
+ *   DemoService    GET /users, /companies, /todos, /posts, /continents (JSON)
+ *   DemoServiceUI  GET /, GET /my_messages.php, POST /login.php with CSRF
+ *                  tokens, a session cookie and the "Welcome, <user>!" page;
+ *                  both pages embed /static/* resources served with ETag and
+ *                  Cache-Control, answering 304 to a matching If-None-Match
+ *
+ * Point a suite at it with -e ENV=local.
+ *
+ * Latency is a distribution in milliseconds:
+ *   constant:100  uniform:50:150  gaussian:100:20  exponential:100
+ *
+ * Errors are injected at a rate with a type: an HTTP status code such as
+ * 500 or 503, "timeout" (the request is never answered) or "reset" (the
+ * connection is dropped).
+ *
+ * Per-route settings go in a JSON file passed with --config:
+ *   {
+ *     "latency": {"default": "gaussian:80:20", "routes": {"/login.php": "uniform:200:400"}},
+ *     "errors": {"rate": 0.01, "type": "500", "routes": {"/posts": {"rate": 0.2, "type": "503"}}},
+ *     "users": {"admin": "123"}
+ *   }
+ *
+ * Runs under Node, no dependencies:
+ *   node Tools/mockserver.mjs [--port 8080] [--latency gaussian:80:20] [--error-rate 0.01] [--error-type 500]
+ *                             [--users users.csv] [--config mock.json]
+ */
+import fs from "node:fs";
+import http from "node:http";
+import path from "node:path";
+import crypto from "node:crypto";
+
+const latencyModels = ["constant", "uniform", "gaussian", "exponential"];
+const maxSessions = 100000;
+
+const defaultUsers = { admin: "123", test_user: "1234" };
+
+const staticFiles = {
+    "/static/style.css": { type: "text/css", maxAge: 300, content: "body { font-family: sans-serif; }\n" },
+    "/static/app.js": { type: "application/javascript", maxAge: 0, content: "console.log(\"mock\");\n" },
+    "/static/logo.svg": { type: "image/svg+xml", maxAge: 3600, content: "<svg xmlns=\"http://www.w3.org/2000/svg\" width=\"1\" height=\"1\"/>\n" }
+};
+
+const resources = {
+    users: (i) => ({ id: i, name: `User ${i}`, username: `user${i}`, email: `user${i}@example.com`, photo: `https://example.com/photos/${i}.png` }),
+    companies: (i) => ({ id: i, name: `Company ${i}`, industry: ["Retail", "Finance", "Health", "Energy"][i % 4], employees: i * 120 }),
+    todos: (i) => ({ id: i, userId: (i % 10) + 1, title: `Todo ${i}`, completed: i % 3 == 0 }),
+    posts: (i) => ({ id: i, userId: (i % 10) + 1, title: `Post ${i}`, body: `Body of post ${i}` }),
+    continents: (i) => ({ id: i, name: ["Africa", "Antarctica", "Asia", "Europe", "North America", "Oceania", "South America"][i - 1] })
+};
+
+/**
+ * Parses a latency spec such as "gaussian:100:20".
+ *
+ * @param {String} spec - model and parameters in milliseconds
+ * @returns {Object} - {model, a, b}
+ */
+export function parseLatency(spec) {
+    let [model, a, b] = String(spec).split(":");
+    if (latencyModels.indexOf(model) == -1 || isNaN(Number(a)) || (model == "uniform" || model == "gaussian") && isNaN(Number(b))) {
+        throw new Error(`Invalid latency "${spec}", expected constant:<ms>, uniform:<min>:<max>, gaussian:<mean>:<stddev> or exponential:<mean>`);
+    }
+    return { model: model, a: Number(a), b: Number(b) };
+}
+
+/**
+ * Draws one delay from a parsed latency spec.
+ *
+ * @param {Object} latency - output of parseLatency, or null for no delay
+ * @returns {Number} - milliseconds, never negative
+ */
+export function sampleLatency(latency) {
+    if (!latency) {
+        return 0;
+    }
+    switch (latency.model) {
+        case "uniform":
+            return latency.a + Math.random() * (latency.b - latency.a);
+        case "gaussian":
+            return Math.max(0, latency.a + latency.b * Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random()));
+        case "exponential":
+            return -latency.a * Math.log(1 - Math.random());
+        default:
+            return latency.a;
+    }
+}
+
+/**
+ * Creates the mock server; call listen() on the result.
+ *
+ * @param {Object} settings - {latency, errors, users} in the --config format
+ * @returns {Object} - node http.Server
+ */
+export function createMockServer(settings = {}) {
+    let latency = settings.latency || {};
+    let errors = settings.errors || {};
+    let users = settings.users || defaultUsers;
+    let sessions = new Map();
+
+    let latencyFor = (route) => parseSpec((latency.routes || {})[route] !== undefined ? latency.routes[route] : latency.default);
+    let errorsFor = function (route) {
+        let specific = (errors.routes || {})[route] || {};
+        return {
+            rate: specific.rate !== undefined ? specific.rate : errors.rate || 0,
+            type: specific.type !== undefined ? specific.type : errors.type || "500"
+        };
+    };
+    // fail at startup rather than on the first request when a spec is invalid
+    Object.keys(latency.routes || {}).concat([undefined]).forEach(latencyFor);
+
+    let session = function (req, res) {
+        let sid = /(?:^|;\s*)sid=([a-f0-9]+)/.exec(req.headers.cookie || "");
+        if (sid && sessions.has(sid[1])) {
+            return sessions.get(sid[1]);
+        }
+        let created = { id: crypto.randomBytes(16).toString("hex"), csrf: token(), user: null };
+        sessions.set(created.id, created);
+        if (sessions.size > maxSessions) {
+            sessions.delete(sessions.keys().next().value);
+        }
+        res.setHeader("Set-Cookie", `sid=${created.id}; Path=/; HttpOnly`);
+        return created;
+    };
+
+    let routes = {
+        "GET /": function (req, res) {
+            html(res, 200, "<h1>Welcome to the k6 demo site (local mock)</h1>\n<a href=\"/my_messages.php\">My messages</a>");
+        },
+
+        "GET /my_messages.php": function (req, res) {
+            let s = session(req, res);
+            if (s.user) {
+                html(res, 200, `<h2>Welcome, ${s.user}!</h2>\n<form method="post" action="/login.php">\n` +
+                    `<input type="hidden" name="redir" value="1">\n<input type="hidden" name="csrftoken" value="${s.csrf}">\n` +
+                    "<input type=\"submit\" value=\"Logout\">\n</form>");
+            } else {
+                html(res, 200, "<h2>Unauthorized</h2>\n<form method=\"post\" action=\"/login.php\">\n" +
+                    `<input type="hidden" name="redir" value="1">\n<input type="hidden" name="csrftoken" value="${s.csrf}">\n` +
+                    "<input type=\"text\" name=\"login\">\n<input type=\"password\" name=\"password\">\n" +
+                    "<input type=\"submit\" value=\"Go!\">\n</form>");
+            }
+        },
+
+        "POST /login.php": function (req, res, body) {
+            let s = session(req, res);
+            let form = new URLSearchParams(body);
+            if (form.get("csrftoken") !== s.csrf) {
+                return html(res, 403, "<h2>Invalid CSRF token</h2>");
+            }
+
+            if (form.has("login")) {
+                s.user = users[form.get("login")] !== undefined && users[form.get("login")] === form.get("password") ? form.get("login") : null;
+            } else {
+                s.user = null;
+            }
+            s.csrf = token();
+            res.writeHead(302, { Location: "/my_messages.php" });
+            res.end();
+        }
+    };
+    Object.keys(staticFiles).forEach(function (file) {
+        let etag = `"${crypto.createHash("sha1").update(staticFiles[file].content).digest("hex").slice(0, 16)}"`;
+        routes[`GET ${file}`] = function (req, res) {
+            let headers = { "ETag": etag, "Cache-Control": `max-age=${staticFiles[file].maxAge}` };
+            if (req.headers["if-none-match"] === etag) {
+                res.writeHead(304, headers);
+                return res.end();
+            }
+            res.writeHead(200, Object.assign({ "Content-Type": staticFiles[file].type }, headers));
+            res.end(staticFiles[file].content);
+        };
+    });
+    Object.keys(resources).forEach(function (name) {
+        let items = [];
+        for (let i = 1; i <= (name == "continents" ? 7 : 10); i++) {
+            items.push(resources[name](i));
+        }
+        routes[`GET /${name}`] = (req, res) => json(res, 200, items);
+    });
+
+    return http.createServer(function (req, res) {
+        let route = req.url.split("?")[0];
+        let chunks = [];
+        req.on("data", (chunk) => chunks.push(chunk));
+        req.on("end", function () {
+            let failure = errorsFor(route);
+            setTimeout(function () {
+                if (Math.random() < failure.rate) {
+                    return inject(req, res, String(failure.type));
+                }
+                let handler = routes[`${req.method} ${route}`];
+                if (!handler) {
+                    return json(res, 404, { error: `No mock for ${req.method} ${route}` });
+                }
+                handler(req, res, Buffer.concat(chunks).toString());
+            }, sampleLatency(latencyFor(route)));
+        });
+    });
+}
+
+function inject(req, res, type) {
+    if (type == "reset") {
+        req.socket.destroy();
+    } else if (type != "timeout") {
+        json(res, Number(type), { error: `Injected ${type}` });
+    }
+    // timeout: never answer, the client gives up
+}
+
+function parseSpec(spec) {
+    return spec === undefined || spec === null ? null : parseLatency(spec);
+}
+
+function token() {
+    return crypto.randomBytes(12).toString("hex");
+}
+
+function html(res, status, content) {
+    res.writeHead(status, { "Content-Type": "text/html; charset=UTF-8" });
+    res.end("<!DOCTYPE html>\n<html>\n<head>\n<link rel=\"stylesheet\" href=\"/static/style.css\">\n<script src=\"/static/app.js\"></script>\n</head>\n" +
+        `<body>\n<img src="/static/logo.svg">\n${content}\n</body>\n</html>\n`);
+}
+
+function json(res, status, value) {
+    res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+    res.end(JSON.stringify(value, null, 2));
+}
+
+function readUsers(file) {
+    let users = {};
+    let [header, ...rows] = fs.readFileSync(file, "utf8").split(/\r?\n/).filter((l) => l.trim() !== "");
+    let columns = header.split(",").map((c) => c.trim());
+    rows.forEach(function (row) {
+        let values = row.split(",");
+        users[values[columns.indexOf("username")]] = values[columns.indexOf("password")];
+    });
+    return users;
+}
+
+function main(argv) {
+    let args = argv.slice(2);
+    let option = function (name, fallback) {
+        let i = args.indexOf(name);
+        return i == -1 ? fallback : args[i + 1];
+    };
+
+    let settings = option("--config") ? JSON.parse(fs.readFileSync(option("--config"), "utf8")) : {};
+    settings.latency = settings.latency || {};
+    settings.errors = settings.errors || {};
+    if (option("--latency")) {
+        settings.latency.default = option("--latency");
+    }
+    if (option("--error-rate")) {
+        settings.errors.rate = Number(option("--error-rate"));
+    }
+    if (option("--error-type")) {
+        settings.errors.type = option("--error-type");
+    }
+    if (option("--users")) {
+        settings.users = readUsers(option("--users"));
+    }
+
+    let port = Number(option("--port", 8080));
+    createMockServer(settings).listen(port, function () {
+        console.log(`mock server listening on http://localhost:${port}`);
+    });
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) == path.resolve(new URL(import.meta.url).pathname)) {
+    main(process.argv);
+}
@@ -0,0 +1,370 @@
+#!/usr/bin/env node
+/**
+ * Turns k6 raw output into per-transaction time series, offline.
+ *
+ * Reads the files written by --out json=<file> or --out csv=<file> (gzipped
+ * when the name ends in .gz) and groups the samples into time buckets per
+ * transaction, using the tags every transaction request carries:
+ *
+ *   requests, req/s    http_reqs{TPS:<name>}
+ *   p50, p95, p99 ms   http_req_duration{RT:<name>}
+ *   error rate         http_req_failed{FR:<name>}
+ *   active VUs         vus, for the whole run
+ *
+ * Several files (one per worker of a distributed run) are combined into one
+ * series; their VUs add up.
+ *
+ * Writes <name>-timeseries.csv and <name>-timeseries.html, a self-contained
+ * page with SVG charts, next to the first input or under --out.
+ *
+ * Runs under Node, no dependencies:
+ *   node Tools/timeseries.mjs <raw.json[.gz]|raw.csv[.gz]> [more files] [--bucket 10s] [--out <dir>] [--name <prefix>]
+ */
+import fs from "node:fs";
+import path from "node:path";
+import zlib from "node:zlib";
+import readline from "node:readline";
+
+const palette = ["#0969da", "#cf222e", "#1a7f37", "#8250df", "#bf8700", "#1b7c83", "#d1242f", "#57606a", "#e16f24", "#6639ba"];
+
+/**
+ * Converts a duration such as "10s", "1m" or "500ms" to milliseconds.
+ *
+ * @param {String} duration - duration string
+ * @returns {Number} - milliseconds
+ */
+export function parseBucket(duration) {
+    let match = /^(\d+(?:\.\d+)?)(ms|s|m|h)$/.exec(String(duration));
+    if (!match || Number(match[1]) <= 0) {
+        throw new Error(`Invalid bucket "${duration}", expected a duration such as 5s, 10s or 1m`);
+    }
+    return Number(match[1]) * { ms: 1, s: 1000, m: 60000, h: 3600000 }[match[2]];
+}
+
+/**
+ * Creates an empty aggregation.
+ *
+ * @param {Number} bucketMs - bucket width in milliseconds
+ * @returns {Object} - aggregation, fed with add()
+ */
+export function createSeries(bucketMs) {
+    return { bucketMs: bucketMs, buckets: new Map(), transactions: new Set() };
+}
+
+/**
+ * Adds one sample to the aggregation.
+ *
+ * @param {Object} series - output of createSeries
+ * @param {Object} sample - {metric, time (ms since epoch), value, tags, source}
+ */
+export function add(series, sample) {
+    let key = Math.floor(sample.time / series.bucketMs);
+    let bucket = series.buckets.get(key);
+    if (!bucket) {
+        bucket = { transactions: new Map(), vus: new Map() };
+        series.buckets.set(key, bucket);
+    }
+
+    if (sample.metric == "vus") {
+        bucket.vus.set(sample.source, Math.max(bucket.vus.get(sample.source) || 0, sample.value));
+        return;
+    }
+
+    let tag = { http_reqs: "TPS", http_req_duration: "RT", http_req_failed: "FR" }[sample.metric];
+    let name = tag && sample.tags && sample.tags[tag];
+    if (!name) {
+        return;
+    }
+    series.transactions.add(name);
+    let txn = bucket.transactions.get(name);
+    if (!txn) {
+        txn = { requests: 0, durations: [], failed: 0, checked: 0 };
+        bucket.transactions.set(name, txn);
+    }
+    if (sample.metric == "http_reqs") {
+        txn.requests += sample.value;
+    } else if (sample.metric == "http_req_duration") {
+        txn.durations.push(sample.value);
+    } else {
+        txn.failed += sample.value;
+        txn.checked++;
+    }
+}
+
+/**
+ * Reads one raw output file into the aggregation.
+ *
+ * @param {Object} series - output of createSeries
+ * @param {String} file - k6 JSON or CSV output, optionally gzipped
+ * @param {Number} source - index of the file, keeps the VUs of each worker apart
+ * @returns {Promise} - resolves once the file is read
+ */
+export async function readRaw(series, file, source) {
+    let stream = fs.createReadStream(file);
+    if (/\.gz$/i.test(file)) {
+        stream = stream.pipe(zlib.createGunzip());
+    }
+    let csv = /\.csv(\.gz)?$/i.test(file);
+    let columns = null;
+
+    for await (let line of readline.createInterface({ input: stream, crlfDelay: Infinity })) {
+        if (!line.trim()) {
+            continue;
+        }
+        if (!csv) {
+            let entry = JSON.parse(line);
+            if (entry.type == "Point") {
+                add(series, { metric: entry.metric, time: Date.parse(entry.data.time), value: entry.data.value, tags: entry.data.tags, source: source });
+            }
+            continue;
+        }
+
+        let fields = csvFields(line);
+        if (!columns) {
+            columns = fields;
+            continue;
+        }
+        let row = {};
+        columns.forEach((c, i) => (row[c] = fields[i]));
+        let tags = Object.fromEntries(new URLSearchParams(row.extra_tags || ""));
+        add(series, { metric: row.metric_name, time: csvTime(row.timestamp), value: Number(row.metric_value), tags: tags, source: source });
+    }
+}
+
+/**
+ * Computes the rows of the time series, one per bucket and transaction.
+ *
+ * @param {Object} series - output of createSeries, filled
+ * @returns {Array<Object>} - {time, offset, transaction, requests, rps, p50, p95, p99, errorRate, vus}
+ */
+export function seriesRows(series) {
+    let keys = Array.from(series.buckets.keys()).sort((a, b) => a - b);
+    let names = Array.from(series.transactions).sort();
+    let rows = [];
+    if (keys.length == 0) {
+        return rows;
+    }
+
+    for (let key = keys[0]; key <= keys[keys.length - 1]; key++) {
+        let bucket = series.buckets.get(key) || { transactions: new Map(), vus: new Map() };
+        let vus = Array.from(bucket.vus.values()).reduce((sum, v) => sum + v, 0);
+        names.forEach(function (name) {
+            let txn = bucket.transactions.get(name) || { requests: 0, durations: [], failed: 0, checked: 0 };
+            let sorted = txn.durations.sort((a, b) => a - b);
+            rows.push({
+                time: new Date(key * series.bucketMs).toISOString(),
+                offset: ((key - keys[0]) * series.bucketMs) / 1000,
+                transaction: name,
+                requests: txn.requests,
+                rps: txn.requests / (series.bucketMs / 1000),
+                p50: percentile(sorted, 50),
+                p95: percentile(sorted, 95),
+                p99: percentile(sorted, 99),
+                errorRate: txn.checked ? txn.failed / txn.checked : undefined,
+                vus: vus
+            });
+        });
+    }
+    return rows;
+}
+
+/**
+ * Renders the rows as CSV.
+ *
+ * @param {Array<Object>} rows - output of seriesRows
+ * @returns {String} - CSV with a header row
+ */
+export function seriesCsv(rows) {
+    let value = (v, digits) => (v === undefined ? "" : Number(v.toFixed(digits)));
+    let lines = ["time,offset_s,transaction,requests,rps,p50_ms,p95_ms,p99_ms,error_rate,vus"];
+    rows.forEach(function (r) {
+        lines.push([r.time, r.offset, r.transaction, r.requests, value(r.rps, 3), value(r.p50, 2), value(r.p95, 2), value(r.p99, 2),
+            value(r.errorRate, 4), r.vus].join(","));
+    });
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Renders the rows as a self-contained HTML page of SVG line charts.
+ *
+ * @param {Array<Object>} rows - output of seriesRows
+ * @param {Object} run - {name, bucket, files}
+ * @returns {String} - HTML document
+ */
+export function seriesHtml(rows, run) {
+    let names = Array.from(new Set(rows.map((r) => r.transaction)));
+    let perTransaction = (field, scale = 1) => names.map((name) => ({
+        name: name,
+        points: rows.filter((r) => r.transaction == name && r[field] !== undefined).map((r) => [r.offset, r[field] * scale])
+    }));
+    let vus = [{ name: "VUs", points: rows.filter((r) => r.transaction == names[0]).map((r) => [r.offset, r.vus]) }];
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escape(run.name)} - k6 time series</title>
+<style>
+body { font-family: Arial, sans-serif; margin: 24px; color: #222; }
+svg { display: block; margin-bottom: 24px; }
+</style>
+</head>
+<body>
+<h1>${escape(run.name)}</h1>
+<p>Source: ${run.files.map(escape).join(", ")} | Bucket: ${escape(run.bucket)} | Generated: ${new Date().toISOString()}</p>
+${lineChart("P95 response time (ms)", perTransaction("p95"))}
+${lineChart("P99 response time (ms)", perTransaction("p99"))}
+${lineChart("Throughput (req/s)", perTransaction("rps"))}
+${lineChart("Error rate (%)", perTransaction("errorRate", 100))}
+${lineChart("Active VUs", vus)}
+</body>
+</html>
+`;
+}
+
+function lineChart(title, series) {
+    let width = 900;
+    let height = 260;
+    let left = 60;
+    let right = 180;
+    let top = 30;
+    let bottom = 30;
+    let all = series.reduce((points, s) => points.concat(s.points), []);
+    let maxX = Math.max(1, ...all.map((p) => p[0]));
+    let maxY = niceMax(Math.max(0, ...all.map((p) => p[1])));
+    let x = (v) => left + (v / maxX) * (width - left - right);
+    let y = (v) => top + (1 - v / maxY) * (height - top - bottom);
+
+    let grid = [0, 0.25, 0.5, 0.75, 1].map(function (f) {
+        let v = maxY * f;
+        return `<line x1="${left}" y1="${y(v)}" x2="${width - right}" y2="${y(v)}" stroke="#eee"/>` +
+            `<text x="${left - 6}" y="${y(v) + 4}" text-anchor="end" font-size="11">${Number(v.toFixed(2))}</text>`;
+    }).join("");
+    let ticks = [0, 0.25, 0.5, 0.75, 1].map((f) => `<text x="${x(maxX * f)}" y="${height - 10}" text-anchor="middle" font-size="11">${Math.round(maxX * f)}s</text>`).join("");
+    let lines = series.map(function (s, i) {
+        let color = palette[i % palette.length];
+        let points = s.points.map((p) => `${x(p[0]).toFixed(1)},${y(p[1]).toFixed(1)}`).join(" ");
+        return `<polyline fill="none" stroke="${color}" stroke-width="1.5" points="${points}"/>` +
+            `<rect x="${width - right + 12}" y="${top + i * 16}" width="10" height="10" fill="${color}"/>` +
+            `<text x="${width - right + 26}" y="${top + i * 16 + 9}" font-size="11">${escape(s.name)}</text>`;
+    }).join("\n");
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" font-family="Arial, sans-serif">
+<text x="${left}" y="18" font-size="14" font-weight="bold">${escape(title)}</text>
+${grid}${ticks}
+<line x1="${left}" y1="${y(0)}" x2="${width - right}" y2="${y(0)}" stroke="#999"/>
+${lines}
+</svg>`;
+}
+
+function niceMax(value) {
+    if (value <= 0) {
+        return 1;
+    }
+    let magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    return [1, 2, 2.5, 5, 10].map((m) => m * magnitude).find((m) => m >= value);
+}
+
+// linear interpolation between closest ranks
+function percentile(sorted, p) {
+    if (sorted.length == 0) {
+        return undefined;
+    }
+    let rank = (p / 100) * (sorted.length - 1);
+    let lower = Math.floor(rank);
+    return sorted[lower] + (sorted[Math.min(lower + 1, sorted.length - 1)] - sorted[lower]) * (rank - lower);
+}
+
+function csvTime(value) {
+    if (!/^\d+(\.\d+)?$/.test(value)) {
+        return Date.parse(value);
+    }
+    let n = Number(value);
+    // unix, unix_milli, unix_micro and unix_nano time formats
+    return n > 1e17 ? n / 1e6 : n > 1e14 ? n / 1e3 : n > 1e11 ? n : n * 1000;
+}
+
+function csvFields(line) {
+    let fields = [];
+    let field = "";
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        let c = line[i];
+        if (quoted) {
+            if (c == '"' && line[i + 1] == '"') {
+                field += '"';
+                i++;
+            } else if (c == '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c == '"') {
+            quoted = true;
+        } else if (c == ",") {
+            fields.push(field);
+            field = "";
+        } else {
+            field += c;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
+
+function escape(value) {
+    return String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+async function main(argv) {
+    let args = argv.slice(2);
+    let option = function (name, fallback) {
+        let i = args.indexOf(name);
+        if (i == -1) {
+            return fallback;
+        }
+        let value = args[i + 1];
+        args.splice(i, 2);
+        return value;
+    };
+    let bucket = option("--bucket", "10s");
+    let out = option("--out");
+    let name = option("--name");
+
+    if (args.length == 0) {
+        console.error("Usage: node Tools/timeseries.mjs <raw.json[.gz]|raw.csv[.gz]> [more files] [--bucket 10s] [--out <dir>] [--name <prefix>]");
+        process.exit(1);
+    }
+
+    let series;
+    try {
+        series = createSeries(parseBucket(bucket));
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+    for (let i = 0; i < args.length; i++) {
+        await readRaw(series, args[i], i);
+    }
+
+    let rows = seriesRows(series);
+    if (rows.length == 0) {
+        console.error(`No transaction samples (RT/TPS/FR tags) in ${args.join(", ")}`);
+        process.exit(1);
+    }
+
+    name = name || path.basename(args[0]).replace(/\.(json|csv)(\.gz)?$/i, "");
+    let dir = out || path.dirname(args[0]);
+    fs.mkdirSync(dir, { recursive: true });
+    let files = {};
+    files[path.join(dir, `${name}-timeseries.csv`)] = seriesCsv(rows);
+    files[path.join(dir, `${name}-timeseries.html`)] = seriesHtml(rows, { name: name, bucket: bucket, files: args.map((f) => path.basename(f)) });
+    Object.keys(files).forEach(function (file) {
+        fs.writeFileSync(file, files[file]);
+        console.log(`wrote ${file}`);
+    });
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) == path.resolve(new URL(import.meta.url).pathname)) {
+    main(process.argv);
+}
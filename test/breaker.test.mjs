@@ -0,0 +1,96 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { metrics } from "k6/metrics";
+import { createBreaker, breakerActions } from "../Common/breaker.js";
+import { withEnv } from "./k6/env.mjs";
+
+const response = (duration) => ({ timings: { duration: duration } });
+const config = {
+    enabled: true, window: "30s", minRequests: 4, errorRate: 0.5, p95: null, action: "abort", cooldown: "10s",
+    transactions: { T03_Login: { action: "skip", downstream: ["T04_Logout"] } }
+};
+
+// runs fn with Date.now() returning clock.now
+const clock = { now: 1000000 };
+function atClock(fn) {
+    let now = Date.now;
+    Date.now = () => clock.now;
+    try {
+        return fn();
+    } finally {
+        Date.now = now;
+    }
+}
+
+function record(breaker, name, oks, duration = 10) {
+    oks.forEach((ok) => breaker.record(name, response(duration), ok));
+}
+
+test("only abort and skip are supported", () => {
+    assert.deepEqual(breakerActions, ["abort", "skip"]);
+    assert.throws(() => createBreaker({ enabled: true, action: "pause" }), /Unknown breaker action "pause".*Valid actions: abort, skip/);
+    withEnv({ BREAKER_ACTION: "pause" }, () => {
+        assert.throws(() => createBreaker({ enabled: true }), /Unknown breaker action "pause"/);
+    });
+    assert.equal(createBreaker({ action: "pause" }).enabled, false);
+});
+
+test("a skip breaker holds back its downstream transactions for the cooldown", () => atClock(() => {
+    let breaker = createBreaker(config);
+    let trips = metrics.breaker_trips.samples.length;
+    let skipped = metrics.breaker_skipped.samples.length;
+
+    record(breaker, "T03_Login", [false, false, true]);
+    assert.equal(breaker.allows("T04_Logout"), true, "no decision below minRequests");
+    record(breaker, "T03_Login", [true]);
+    assert.equal(breaker.allows("T04_Logout"), true, "2 of 4 failed is not above 50%");
+    record(breaker, "T03_Login", [false]);
+    assert.deepEqual(metrics.breaker_trips.samples.slice(trips), [{ value: 1, tags: { Breaker: "T03_Login", cause: "errorRate" } }]);
+
+    assert.equal(breaker.allows("T04_Logout"), false);
+    assert.equal(breaker.allows("T01_Home"), true);
+    assert.equal(breaker.allows("T03_Login"), true);
+    assert.deepEqual(metrics.breaker_skipped.samples.slice(skipped), [{ value: 1, tags: { Breaker: "T03_Login" } }]);
+
+    record(breaker, "T03_Login", [false, false, false, false]);
+    assert.equal(metrics.breaker_trips.samples.length, trips + 1, "an open breaker records nothing");
+
+    clock.now += 10000;
+    assert.equal(breaker.allows("T04_Logout"), true, "closed again after the cooldown");
+    record(breaker, "T03_Login", [false, false, false]);
+    assert.equal(breaker.allows("T04_Logout"), true, "the window starts empty again");
+}));
+
+test("responses older than the window no longer count", () => atClock(() => {
+    let breaker = createBreaker(config);
+    record(breaker, "T03_Login", [false, false, false]);
+    clock.now += 31000;
+    record(breaker, "T03_Login", [true, true, true, false]);
+    assert.equal(breaker.allows("T04_Logout"), true);
+}));
+
+test("an abort breaker aborts the test when p95 is crossed", () => atClock(() => {
+    let breaker = createBreaker(Object.assign({}, config, { errorRate: null, p95: 500 }));
+    record(breaker, "T01_Home", [true, true, true], 900);
+    assert.throws(() => record(breaker, "T01_Home", [true], 900), /aborted: Circuit breaker of T01_Home tripped: p95 900 ms above 500 ms/);
+}));
+
+test("BREAKER switches the breaker on or off for a run", () => {
+    withEnv({ BREAKER: "false" }, () => {
+        let breaker = createBreaker(config);
+        record(breaker, "T01_Home", [false, false, false, false]);
+        assert.equal(breaker.allows("T04_Logout"), true);
+    });
+    withEnv({ BREAKER: "true", BREAKER_ACTION: "skip" }, () => {
+        let breaker = createBreaker(Object.assign({}, config, { enabled: false }));
+        assert.equal(breaker.enabled, true);
+        record(breaker, "T01_Home", [false, false, false, false]);
+        assert.match(breaker.describe("T01_Home"), /then skip nothing for 10s$/);
+    });
+});
+
+test("describe states the per-VU rule", () => {
+    let breaker = createBreaker(Object.assign({}, config, { p95: 800 }));
+    assert.equal(breaker.describe("T03_Login"), "per VU: error rate above 50% or p95 above 800 ms over 30s (min 4 responses), then skip T04_Logout for 10s");
+    assert.equal(breaker.describe("T01_Home"), "per VU: error rate above 50% or p95 above 800 ms over 30s (min 4 responses), then abort the test");
+});
@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { requests } from "k6/http";
+import { createClient, profiles } from "../Common/client.js";
+import { withEnv } from "./k6/env.mjs";
+
+// the last request the client sent
+function sent(send) {
+    requests.length = 0;
+    send();
+    assert.equal(requests.length, 1);
+    return requests[0];
+}
+
+test("requests go to the base URL with Host and Origin derived from it", () => {
+    let client = createClient({ baseURL: "https://shop.example.com:8443/app/" });
+    let get = sent(() => client.get("/cart"));
+    assert.equal(get.method, "GET");
+    assert.equal(get.url, "https://shop.example.com:8443/app/cart");
+    assert.equal(get.body, null);
+    assert.equal(get.params.headers.Host, "shop.example.com:8443");
+    assert.equal(get.params.headers.Origin, undefined);
+
+    let post = sent(() => client.post("/cart", "id=1"));
+    assert.equal(post.method, "POST");
+    assert.equal(post.body, "id=1");
+    assert.equal(post.params.headers.Origin, "https://shop.example.com:8443");
+
+    assert.equal(sent(() => client.request("delete", "https://cdn.example.com/x")).url, "https://cdn.example.com/x");
+});
+
+test("a request's own profile and headers beat the defaults", () => {
+    let client = createClient({ baseURL: "https://a.example.com", profile: "chrome", headers: { "X-Suite": "ui", "Accept-Language": "de" } });
+    let headers = sent(() => client.get("/")).params.headers;
+    assert.equal(headers["User-Agent"], profiles.chrome.userAgents[0]);
+    assert.equal(headers["sec-ch-ua"], profiles.chrome.headers["sec-ch-ua"]);
+    assert.equal(headers["Accept-Language"], "de");
+    assert.equal(headers["X-Suite"], "ui");
+
+    headers = sent(() => client.get("/api", { profile: "api", headers: { "Accept": "text/plain" } })).params.headers;
+    assert.equal(headers["User-Agent"], "K6-Perf/1.0");
+    assert.equal(headers["Accept"], "text/plain");
+    assert.equal(headers["Sec-Fetch-Mode"], undefined);
+
+    assert.deepEqual(client.headers("GET"), sent(() => client.get("/")).params.headers);
+    assert.throws(() => createClient({ baseURL: "https://a.example.com", profile: "firefox" }), /Unknown header profile "firefox"/);
+    assert.throws(() => client.get("/", { profile: "opera" }), /Unknown header profile "opera"/);
+});
+
+test("transaction tags, timeouts and redirects are set per request or per client", () => {
+    let client = createClient({ baseURL: "https://a.example.com", timeout: "60s", redirects: 10 });
+    let params = sent(() => client.get("/", { tag: "T01_Home", tags: { name: "home" } })).params;
+    assert.deepEqual(params.tags, { Checks: "T01_Home", RT: "T01_Home", TPS: "T01_Home", FR: "T01_Home", name: "home" });
+    assert.equal(params.timeout, "60s");
+    assert.equal(params.redirects, 10);
+
+    params = sent(() => client.get("/", { timeout: "5s", redirects: 0 })).params;
+    assert.deepEqual(params.tags, {});
+    assert.equal(params.timeout, "5s");
+    assert.equal(params.redirects, 0);
+
+    params = sent(() => createClient({ baseURL: "https://a.example.com" }).get("/")).params;
+    assert.equal("timeout" in params, false);
+    assert.equal("redirects" in params, false);
+
+    withEnv({ HTTP_TIMEOUT: "2s", HTTP_REDIRECTS: "0" }, () => {
+        params = sent(() => createClient({ baseURL: "https://a.example.com", timeout: "60s", redirects: 10 }).get("/")).params;
+    });
+    assert.equal(params.timeout, "2s");
+    assert.equal(params.redirects, 0);
+});
+
+test("rotating user agents gives each VU one agent of the profile", () => {
+    let agents = (settings) => [1, 2, 3, 4].map(function (vu) {
+        globalThis.__VU = vu;
+        try {
+            return createClient(Object.assign({ baseURL: "https://a.example.com" }, settings)).headers("GET")["User-Agent"];
+        } finally {
+            globalThis.__VU = 0;
+        }
+    });
+    let edge = profiles.edge.userAgents;
+    assert.deepEqual(agents({}), [edge[0], edge[0], edge[0], edge[0]]);
+    assert.deepEqual(agents({ rotateUserAgents: true }), [edge[0], edge[1], edge[2], edge[0]]);
+    withEnv({ ROTATE_USER_AGENTS: "true" }, () => {
+        assert.deepEqual(agents({ profile: "safariMobile" }), profiles.safariMobile.userAgents.concat(profiles.safariMobile.userAgents[0]));
+    });
+});
@@ -0,0 +1,96 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { loadConfig, applyEnvOverrides, validateConfig, redact, logConfig, secretPlaceholder } from "../Common/config.js";
+import { withEnv } from "./k6/env.mjs";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "config-"));
+
+function json(name, content) {
+    let file = path.join(dir, name);
+    fs.writeFileSync(file, JSON.stringify(content));
+    return file;
+}
+
+const base = json("base.json", { timeout: 30, http: { retries: 1, keepAlive: true }, creds: { username: "" } });
+const environments = json("env.json", {
+    qa: { url: "https://qa.example.com", http: { retries: 2 }, creds: { username: "tester", password: secretPlaceholder } },
+    local: { url: "http://localhost:8080" }
+});
+const settings = { base: base, environments: environments, required: ["url", "creds.username", "creds.password"] };
+
+test("the environment overlay is merged over the base key by key", () => {
+    withEnv({ ENV: "qa", CONFIG_CREDS_PASSWORD: "pw" }, () => {
+        let config = loadConfig(settings);
+        assert.equal(config.url, "https://qa.example.com");
+        assert.deepEqual(config.http, { retries: 2, keepAlive: true });
+        assert.equal(config.timeout, 30);
+    });
+});
+
+test("the SECRETS_FILE and CONFIG_ variables come last", () => {
+    let secrets = json("secrets.json", { creds: { password: "from-file" }, http: { retries: 5 } });
+    withEnv({ ENV: "qa", SECRETS_FILE: secrets, CONFIG_HTTP_RETRIES: "7", CONFIG_HTTP_KEEP_ALIVE: "false" }, () => {
+        let config = loadConfig(settings);
+        assert.equal(config.creds.password, "from-file");
+        assert.equal(config.http.retries, 7);
+        assert.equal(config.http.keepAlive, false);
+    });
+    withEnv({ ENV: "local", CONFIG_CREDS_USERNAME: "admin", CONFIG_CREDS_PASSWORD: "123" }, () => {
+        assert.deepEqual(loadConfig(settings).creds, { username: "admin", password: "123" });
+    });
+});
+
+test("an unknown or missing environment lists the valid ones", () => {
+    withEnv({ ENV: "prod" }, () => {
+        assert.throws(() => loadConfig(settings), /Unknown environment "prod".*Valid environments: qa, local/);
+    });
+    assert.throws(() => loadConfig(settings), /No environment selected/);
+});
+
+test("committed secret values are rejected", () => {
+    let leaky = json("leaky.json", { qa: { url: "https://qa.example.com", creds: { username: "tester", password: "hunter2" }, apiKey: "k" } });
+    withEnv({ ENV: "qa" }, () => {
+        assert.throws(() => loadConfig({ environments: leaky }), /commits secret values at creds\.password, apiKey.*CONFIG_CREDS_PASSWORD, CONFIG_API_KEY/);
+        assert.throws(() => loadConfig({ environments: environments, secrets: ["url"] }), /commits secret values at url/);
+    });
+});
+
+test("a secret placeholder left unreplaced fails with the variable to set", () => {
+    withEnv({ ENV: "qa" }, () => {
+        assert.throws(() => loadConfig(settings), /needs the secret creds\.password\. Pass -e SECRETS_FILE=<file> or -e CONFIG_CREDS_PASSWORD=\.\.\./);
+    });
+    withEnv({ ENV: "local" }, () => {
+        assert.throws(() => loadConfig(settings), /is missing: creds\.username, creds\.password/);
+    });
+});
+
+test("validateConfig checks the url", () => {
+    assert.throws(() => validateConfig({ url: "qa.example.com" }, ["url"], "qa"), /invalid url "qa\.example\.com"/);
+    validateConfig({ url: "https://qa.example.com" }, ["url"], "qa");
+});
+
+test("applyEnvOverrides reaches required paths the files leave out", () => {
+    let config = applyEnvOverrides({ url: "https://a" }, ["creds.password"], { CONFIG_CREDS_PASSWORD: "pw", CONFIG_URL: "https://b" });
+    assert.deepEqual(config, { url: "https://b", creds: { password: "pw" } });
+});
+
+test("redact and logConfig hide every secret", () => {
+    let config = { url: "https://a", creds: { username: "u", password: "p" }, tokens: [{ apiKey: "k" }], extra: "e" };
+    assert.deepEqual(redact(config, ["extra"]), { url: "https://a", creds: { username: "u", password: "***" }, tokens: [{ apiKey: "***" }], extra: "***" });
+    assert.equal(config.creds.password, "p");
+
+    let logged = [];
+    let log = console.log;
+    console.log = (line) => logged.push(line);
+    try {
+        logConfig("qa", config);
+    } finally {
+        console.log = log;
+    }
+    assert.equal(logged.length, 1);
+    assert.match(logged[0], /^Configuration for "qa": /);
+    assert.doesNotMatch(logged[0], /"p"|"k"/);
+});
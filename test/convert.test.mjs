@@ -0,0 +1,130 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { parseHar, parseRecorderScript, renderService } from "../Tools/convert.mjs";
+
+const entry = (page, at, method, url, headers, status, content, postData) => ({
+    pageref: page,
+    startedDateTime: at,
+    time: 200,
+    request: { method: method, url: url, headers: headers, postData: postData },
+    response: { status: status, content: content }
+});
+
+const har = {
+    log: {
+        pages: [
+            { id: "p1", title: "Home", startedDateTime: "2024-01-01T00:00:00.000Z" },
+            { id: "p2", title: "Login", startedDateTime: "2024-01-01T00:00:05.000Z" }
+        ],
+        entries: [
+            entry("p1", "2024-01-01T00:00:00.000Z", "GET", "https://shop.example.com/login",
+                [{ name: ":authority", value: "shop.example.com" }, { name: "Accept", value: "text/html" }, { name: "Cookie", value: "a=b" }],
+                200, { mimeType: "text/html", text: "<form><input type=\"hidden\" name=\"csrftoken\" value=\"abc123xyz\"></form>" }),
+            entry("p1", "2024-01-01T00:00:00.400Z", "GET", "https://shop.example.com/static/app.css", [], 200, { mimeType: "text/css" }),
+            entry("p2", "2024-01-01T00:00:05.000Z", "POST", "https://shop.example.com/login",
+                [{ name: "Content-Type", value: "application/x-www-form-urlencoded" }],
+                302, { mimeType: "text/html", text: "" },
+                { mimeType: "application/x-www-form-urlencoded", params: [{ name: "csrftoken", value: "abc123xyz" }, { name: "user", value: "bob" }] })
+        ]
+    }
+};
+
+test("HAR pages become transactions without static resources or browser headers", () => {
+    let pages = parseHar(har);
+    assert.deepEqual(pages.map((p) => p.title), ["Home", "Login"]);
+    assert.deepEqual(pages[0].requests.map((r) => r.url), ["https://shop.example.com/login"]);
+    assert.deepEqual(pages[0].requests[0].headers, { Accept: "text/html" });
+    assert.equal(pages[0].thinkTime, 4.8);
+});
+
+test("hidden fields sent back later become correlation rules", () => {
+    let pages = parseHar(har);
+    assert.deepEqual(pages[0].requests[0].extract, [{ name: "csrftoken", selector: "input[name=csrftoken]", attribute: "value" }]);
+    assert.deepEqual(pages[1].requests[0].body, { csrftoken: "${csrftoken}", user: "bob" });
+});
+
+test("static resources are kept with includeStatic", () => {
+    let pages = parseHar(har, { includeStatic: true });
+    assert.equal(pages[0].requests.length, 2);
+});
+
+test("the service folder has every file and uses the shared modules", () => {
+    let files = renderService(parseHar(har), { service: "Shop", env: "qa" });
+    assert.deepEqual(Object.keys(files).sort(), [
+        "Shop/calls.js", "Shop/config/base.json", "Shop/config/env.json", "Shop/config/sla.json", "Shop/group.js", "Shop/main.js"
+    ]);
+    assert.deepEqual(JSON.parse(files["Shop/config/env.json"]), { qa: { url: "https://shop.example.com" } });
+    assert.match(files["Shop/main.js"], /required: \["url"\]/);
+    assert.match(files["Shop/calls.js"], /const transactions = \["T01_Home","T02_Login"\];/);
+    assert.match(files["Shop/calls.js"], /client\.request\("GET", "\/login", null,/);
+    assert.match(files["Shop/calls.js"], /let request1 = prepare\(/);
+    assert.match(files["Shop/calls.js"], /ChecksandDebug\(response, tagname, \[200,302\]\);/);
+    assert.match(files["Shop/main.js"], /open\("\.\.\/Shop\/config\/sla\.json"\)/);
+    for (let file of ["Shop/calls.js", "Shop/group.js", "Shop/main.js"]) {
+        let body = files[file].replace(/^(import|export \{).*$/gm, "").replace(/^(\s*)export (default )?/gm, "$1");
+        assert.doesNotThrow(() => new Function(body), file);
+    }
+});
+
+test("a k6 recorder script gives the same model", () => {
+    let pages = parseRecorderScript(`
+import http from "k6/http";
+export default function () {
+    group("Home", function () {
+        http.get("https://shop.example.com/", { headers: { Accept: "text/html" } });
+    });
+    group("Search", function () {
+        http.get("https://shop.example.com/search?q=k6");
+    });
+}`);
+    assert.deepEqual(pages.map((p) => p.title), ["Home", "Search"]);
+    assert.equal(pages[1].requests[0].url, "https://shop.example.com/search?q=k6");
+});
+
+const loginHar = (postData, url = "https://shop.example.com/login") => ({
+    log: {
+        entries: [
+            entry(undefined, "2024-01-01T00:00:00.000Z", "POST", url, [], 302, { mimeType: "text/html", text: "" }, postData),
+            entry(undefined, "2024-01-01T00:00:01.000Z", "POST", "https://shop.example.com/confirm", [], 200, { mimeType: "text/html", text: "" },
+                { mimeType: "application/x-www-form-urlencoded", params: [{ name: "confirm", value: "s3cr3t-Pw" }] })
+        ]
+    }
+});
+
+const leaks = (files, secret) => Object.keys(files).filter((file) => files[file].indexOf(secret) != -1);
+
+test("recorded form credentials are sent from the config", () => {
+    let pages = parseHar(loginHar({ mimeType: "application/x-www-form-urlencoded", params: [{ name: "login", value: "bob" }, { name: "password", value: "s3cr3t-Pw" }] }));
+    assert.deepEqual(pages[0].requests[0].body, { login: "${creds.username}", password: "${creds.password}" });
+    assert.deepEqual(pages[1].requests[0].body, { confirm: "${creds.password}" });
+
+    let files = renderService(pages, { service: "Shop", env: "qa" });
+    assert.deepEqual(leaks(files, "s3cr3t-Pw"), []);
+    assert.deepEqual(JSON.parse(files["Shop/config/env.json"]).qa.creds, { username: "bob", password: "${secret}" });
+    assert.match(files["Shop/main.js"], /required: \["url", "creds\.username", "creds\.password"\]/);
+    assert.match(files["Shop/calls.js"], /import \{ client, breaker, configJson \} from "\.\.\/Shop\/main\.js";/);
+    assert.match(files["Shop/calls.js"], /\}\}, Object\.assign\(credentials\(\), vars\), tagname\)/);
+});
+
+test("JSON bodies and query strings are scrubbed too", () => {
+    let json = parseHar(loginHar({ mimeType: "application/json", text: JSON.stringify({ user: { email: "bob@example.com", pwd: "s3cr3t-Pw" }, remember: true }) }));
+    assert.deepEqual(JSON.parse(json[0].requests[0].body), { user: { email: "${creds.username}", pwd: "${creds.password}" }, remember: true });
+
+    let query = parseHar(loginHar(undefined, "https://shop.example.com/login?user_name=bob&passwd=s3cr3t-Pw&next=%2Fhome"));
+    assert.equal(query[0].requests[0].url, "https://shop.example.com/login?user_name=${creds.username}&passwd=${creds.password}&next=%2Fhome");
+
+    for (let pages of [json, query]) {
+        let files = renderService(pages, { service: "Shop", env: "qa" });
+        assert.deepEqual(leaks(files, "s3cr3t-Pw"), []);
+    }
+});
+
+test("the bundled recorder script converts without its login password", () => {
+    let pages = parseRecorderScript(fs.readFileSync(new URL("../DemoServiceUI/backup.js", import.meta.url), "utf8"));
+    let files = renderService(pages, { service: "DemoUI", env: "qa" });
+    let login = pages.flatMap((p) => p.requests).find((r) => r.body && r.body.password !== undefined);
+    assert.equal(login.body.password, "${creds.password}");
+    assert.equal(login.body.login, "${creds.username}");
+    assert.deepEqual(Object.keys(files).filter((file) => /"123"|'123'|=123\b/.test(files[file])), []);
+});
@@ -0,0 +1,119 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createFeeder, createFeeders, feederValues, parseCsv } from "../Common/feeder.js";
+import { loadConfig } from "../Common/config.js";
+import { withEnv, withExec } from "./k6/env.mjs";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "feeder-"));
+
+function usersFile(count, name = "users.csv") {
+    let file = path.join(dir, name);
+    fs.writeFileSync(file, ["username,password"].concat([...Array(count).keys()].map((i) => `user${i},pw${i}`)).join("\n"));
+    return file;
+}
+
+let iterations = 0;
+
+// the row each of the given VUs gets; k6 gives every VU its own feeder, so
+// each call here runs as a new iteration to keep the row cache out of the way
+function rowsOf(feeder, vus) {
+    return vus.map((vu) => withExec({ vu: { idInTest: vu, idInInstance: vu, iterationInInstance: ++iterations } }, () => feeder.row()));
+}
+
+test("parseCsv handles quoted delimiters, quotes and line breaks", () => {
+    let rows = parseCsv('name,comment\r\nann,"a, b"\nbob,"say ""hi""\nbye"\n');
+    assert.deepEqual(rows, [{ name: "ann", comment: "a, b" }, { name: "bob", comment: 'say "hi"\nbye' }]);
+    assert.deepEqual(parseCsv("a;b\n1;2", ";"), [{ a: "1", b: "2" }]);
+});
+
+test("JSON files are read as an array of rows", () => {
+    let file = path.join(dir, "items.json");
+    fs.writeFileSync(file, JSON.stringify([{ id: 1 }, { id: 2 }]));
+    let feeder = createFeeder("items", { file: file });
+    assert.equal(feeder.size, 2);
+    assert.deepEqual(feeder.row(), { id: 1 });
+});
+
+test("sequential walks the rows once per iteration and wraps around", () => {
+    let feeder = createFeeder("users", { file: usersFile(3) });
+    let names = [0, 1, 1, 2, 3].map((iteration) => withExec({ vu: { iterationInInstance: iteration } }, () => feeder.row().username));
+    assert.deepEqual(names, ["user0", "user1", "user1", "user2", "user0"]);
+});
+
+test("unique-per-vu gives every VU its own row for its lifetime", () => {
+    let feeder = createFeeder("users", { file: usersFile(3), mode: "unique-per-vu" });
+    assert.deepEqual(rowsOf(feeder, [1, 2, 3]).map((row) => row.username), ["user0", "user1", "user2"]);
+    assert.deepEqual(rowsOf(feeder, [2]).map((row) => row.username), ["user1"]);
+});
+
+test("random picks rows within the data", () => {
+    let feeder = createFeeder("users", { file: usersFile(3), mode: "random" });
+    for (let i = 0; i < 20; i++) {
+        let row = withExec({ vu: { iterationInInstance: i } }, () => feeder.row());
+        assert.match(row.username, /^user[0-2]$/);
+    }
+});
+
+test("onExhausted decides what a unique mode does once the rows run out", () => {
+    let recycle = createFeeder("users", { file: usersFile(2), mode: "unique-per-vu" });
+    assert.equal(rowsOf(recycle, [3])[0].username, "user0");
+
+    let stop = createFeeder("users", { file: usersFile(2), mode: "unique-per-vu", onExhausted: "stop-vu" });
+    assert.deepEqual(rowsOf(stop, [3, 3]), [null, null]);
+    assert.equal(feederValues({ users: stop }), null);
+
+    let abort = createFeeder("users", { file: usersFile(2), mode: "unique-per-iteration", onExhausted: "abort" });
+    assert.equal(withExec({ scenario: { iterationInTest: 1 }, vu: { iterationInInstance: 1 } }, () => abort.row().username), "user1");
+    assert.throws(() => withExec({ scenario: { iterationInTest: 2 }, vu: { iterationInInstance: 2 } }, () => abort.row()),
+        /aborted: Feeder "users" ran out of data after 2 rows/);
+});
+
+test("unknown modes and empty files fail when the feeder is created", () => {
+    assert.throws(() => createFeeder("users", { file: usersFile(1), mode: "shuffled" }), /unknown mode "shuffled"/);
+    assert.throws(() => createFeeder("users", { file: usersFile(1), onExhausted: "wait" }), /unknown onExhausted "wait"/);
+    assert.throws(() => createFeeder("users", { file: usersFile(0) }), /no rows/);
+});
+
+test("feederValues names the columns after their feeder", () => {
+    let feeders = createFeeders({ users: { file: usersFile(2) } });
+    assert.deepEqual(feederValues(feeders), { "users.username": "user0", "users.password": "pw0" });
+    assert.deepEqual(createFeeders(), {});
+});
+
+test("distributed workers each use their own slice of the rows", () => {
+    let file = usersFile(10);
+    let slices = [0, 1, 2].map((worker) => withEnv({ WORKERS: "3", WORKER: String(worker) }, function () {
+        let feeder = createFeeder("users", { file: file, mode: "unique-per-vu" });
+        return { size: feeder.size, first: rowsOf(feeder, [1])[0].username };
+    }));
+    assert.deepEqual(slices, [{ size: 3, first: "user0" }, { size: 3, first: "user3" }, { size: 4, first: "user6" }]);
+
+    withEnv({ WORKERS: "3", WORKER: "0" }, () => {
+        assert.equal(createFeeder("users", { file: file, slice: false }).size, 10);
+        assert.throws(() => createFeeder("users", { file: usersFile(2, "few.csv") }), /too few to give every worker a slice/);
+    });
+});
+
+test("the UI suite loads its credential file from the secrets, never from the repo", () => {
+    let settings = {
+        base: "../DemoServiceUI/config/base.json",
+        environments: "../DemoServiceUI/config/env.json",
+        required: ["url", "creds.username", "creds.password"]
+    };
+    withEnv({ ENV: "qa", CONFIG_CREDS_PASSWORD: "x" }, () => {
+        assert.throws(() => loadConfig(settings), /needs the secret feeders\.users\.file/);
+    });
+
+    let file = usersFile(2);
+    let secrets = path.join(dir, "secrets.json");
+    fs.writeFileSync(secrets, JSON.stringify({ creds: { password: "x" }, feeders: { users: { file: file } } }));
+    withEnv({ ENV: "qa", SECRETS_FILE: secrets }, () => {
+        let config = loadConfig(settings);
+        assert.equal(config.feeders.users.file, file);
+        assert.equal(createFeeders(config.feeders).users.size, 2);
+    });
+    assert.deepEqual(fs.readdirSync(path.resolve("DemoServiceUI/data")), ["users.example.csv"]);
+});
@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { resolveSpec, jobName, k6Command, buildJob, toYaml } from "../Tools/jobgen.mjs";
+
+const spec = JSON.parse(fs.readFileSync(new URL("../k6-run.json", import.meta.url), "utf8"));
+
+test("the committed run spec resolves", () => {
+    let run = resolveSpec(spec);
+    assert.equal(run.suite, "DemoServiceUI");
+    assert.equal(run.outputs.resultsDir, "/results");
+    assert.equal(run.outputs.log, "k6.log");
+});
+
+test("specs the suites cannot run are rejected", () => {
+    let invalid = [
+        [{}, /needs a suite/],
+        [{ suite: "NoSuchSuite" }, /Unknown suite "NoSuchSuite"/],
+        [{ suite: "DemoService", env: "prod" }, /Unknown environment "prod" for DemoService/],
+        [{ suite: "DemoService", scenario: "LoadTest,SurgeTest" }, /Unknown scenario "SurgeTest"/],
+        [{ suite: "DemoService", duration: "3 minutes" }, /Invalid duration/],
+        [{ suite: "DemoService", parallelism: 0 }, /Invalid parallelism/],
+        [{ suite: "DemoService", vars: { "BAD-NAME": 1 } }, /Invalid variable name/],
+        [{ suite: "DemoService", vars: { CONFIG_CREDS_PASSWORD: "123" } }, /looks like a secret/]
+    ];
+    invalid.forEach(([bad, message]) => assert.throws(() => resolveSpec(bad), message));
+});
+
+test("every scenario of Common/scenarios.json is accepted", () => {
+    let names = JSON.parse(fs.readFileSync(new URL("../Common/scenarios.json", import.meta.url), "utf8"));
+    assert.doesNotThrow(() => resolveSpec({ suite: "DemoService", scenario: names.join(",") }));
+});
+
+test("job names are unique DNS-1123 names", () => {
+    let run = resolveSpec({ suite: "DemoServiceUI", scenario: "BreakpointTest" });
+    let now = new Date("2026-01-02T03:04:05Z");
+    let name = jobName(run, now);
+    assert.match(name, /^k6-demoserviceui-breakpointtest-20260102030405-[0-9a-f]{4}$/);
+    assert.ok(name.length <= 63);
+    assert.notEqual(jobName(run, now), name);
+});
+
+test("the k6 command carries the run, the secrets file and the log file", () => {
+    let run = resolveSpec(Object.assign({}, spec, { vars: { TARGET: 50 } }));
+    let command = k6Command(run, "k6-job");
+    assert.deepEqual(command.slice(0, 3), ["k6", "run", "/tmp/DemoServiceUI/main.js"]);
+    ["ENV=qa", "scenario=LoadTest", "STEADYSTATE=3m", "RESULTS_DIR=/results/k6-job", "TARGET=50", "SECRETS_FILE=/etc/k6-secrets/config/secrets.json"]
+        .forEach((value) => assert.ok(command.includes(value), value));
+    assert.equal(command[command.length - 1], "--log-output=file=/results/k6-job/k6.log");
+
+    let parallel = k6Command(resolveSpec(Object.assign({}, spec, { parallelism: 3 })), "k6-job");
+    assert.ok(parallel.includes("WORKERS=3"));
+    assert.equal(parallel[parallel.length - 1], "--log-output=file=/results/k6-job/k6-worker$(JOB_COMPLETION_INDEX).log");
+
+    let outputs = { out: ["json=/results/raw.json.gz", "csv=/results/run.d/metrics", "influxdb=http://influx:8086/k6"] };
+    let outs = (run) => k6Command(resolveSpec(Object.assign({}, spec, run, { outputs: outputs })), "k6-job").filter((arg, i, all) => all[i - 1] == "--out");
+    assert.deepEqual(outs({ parallelism: 2 }), [
+        "json=/results/raw-worker$(JOB_COMPLETION_INDEX).json.gz",
+        "csv=/results/run.d/metrics-worker$(JOB_COMPLETION_INDEX)",
+        "influxdb=http://influx:8086/k6"
+    ]);
+    assert.deepEqual(outs({}), outputs.out);
+
+    let quiet = k6Command(resolveSpec(Object.assign({}, spec, { outputs: { log: null } })), "k6-job");
+    assert.ok(!quiet.some((arg) => arg.startsWith("--log-output")));
+});
+
+test("parallel runs become an Indexed Job with mounted secrets", () => {
+    let job = buildJob(resolveSpec(Object.assign({}, spec, { parallelism: 2 })), "k6-job");
+    assert.equal(job.spec.completionMode, "Indexed");
+    assert.equal(job.spec.completions, 2);
+    assert.deepEqual(job.spec.template.spec.volumes.map((v) => v.name), ["git", "results", "git-secret", "config-secret"]);
+    assert.equal(buildJob(resolveSpec(spec), "k6-job").spec.completionMode, undefined);
+});
+
+test("toYaml quotes what YAML would read as another type", () => {
+    assert.equal(toYaml({ a: "on", b: "3m", c: 1, d: ["x y"], e: {} }), "a: \"on\"\nb: \"3m\"\nc: 1\nd:\n- \"x y\"\ne: {}");
+});
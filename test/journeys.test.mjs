@@ -0,0 +1,106 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import exec from "k6/execution";
+import { group } from "k6";
+import { createJourneys, scale } from "../Common/journeys.js";
+import { createFeeder } from "../Common/feeder.js";
+
+const total = (parts, key) => parts.reduce((sum, part) => sum + part[key], 0);
+
+const rampingArrivalRate = {
+    executor: "ramping-arrival-rate",
+    startRate: 1,
+    timeUnit: "1s",
+    preAllocatedVUs: 10,
+    maxVUs: 50,
+    stages: [{ target: 10, duration: "1m" }, { target: 0, duration: "10s" }]
+};
+
+test("scale splits every value so the parts add up to the original", () => {
+    for (let shares of [[0.7, 0.3], [0.5, 0.3, 0.2], [0.25, 0.25, 0.25, 0.25]]) {
+        let names = shares.map((share, i) => `j${i}`);
+        let parts = scale(rampingArrivalRate, shares, names);
+        assert.equal(total(parts, "startRate"), 1, `startRate with ${shares}`);
+        assert.equal(total(parts, "preAllocatedVUs"), 10);
+        assert.equal(total(parts, "maxVUs"), 50);
+        assert.equal(parts.reduce((sum, part) => sum + part.stages[0].target, 0), 10);
+        assert.deepEqual(parts.map((part) => part.tags.journey), names);
+    }
+});
+
+test("scale keeps at least one VU per journey", () => {
+    let parts = scale({ executor: "constant-vus", vus: 2, duration: "1m" }, [0.5, 0.3, 0.2], ["a", "b", "c"]);
+    assert.deepEqual(parts.map((part) => part.vus), [1, 1, 1]);
+    parts = scale({ executor: "constant-vus", vus: 10, duration: "1m" }, [0.9, 0.05, 0.05], ["a", "b", "c"]);
+    assert.deepEqual(parts.map((part) => part.vus), [8, 1, 1]);
+});
+
+test("scenarios mode gives every journey its own scenario", () => {
+    __ENV.JOURNEY_MODE = "scenarios";
+    try {
+        let journeys = createJourneys({ browse: { weight: 70 }, login: { weight: 30 }, idle: { weight: 0 } }, () => {});
+        let split = journeys.scenarios({ LoadTest: rampingArrivalRate });
+        assert.deepEqual(Object.keys(split), ["LoadTest_browse", "LoadTest_login"]);
+        assert.equal(split.LoadTest_browse.stages[0].target, 7);
+        assert.equal(split.LoadTest_login.stages[0].target, 3);
+    } finally {
+        delete __ENV.JOURNEY_MODE;
+    }
+});
+
+test("execute tags the iteration with its journey and clears the tag afterwards", () => {
+    let seen = [];
+    let journeys = createJourneys({ login: { weight: 1 } }, { login: () => seen.push(exec.vu.metrics.tags.journey) });
+    assert.equal(journeys.execute(), "login");
+    assert.deepEqual(seen, ["login"]);
+    assert.equal(exec.vu.metrics.tags.journey, undefined);
+
+    journeys = createJourneys({ login: { weight: 1 } }, { login: () => { throw new Error("failed"); } });
+    assert.throws(() => journeys.execute(), /failed/);
+    assert.equal(exec.vu.metrics.tags.journey, undefined);
+});
+
+test("every transaction of a journey, the closing logout included, carries its tag", () => {
+    let tagged = [];
+    let transaction = (name) => group(name, () => tagged.push([name, exec.vu.metrics.tags.journey]));
+    let journeys = createJourneys({ browse: { weight: 1 }, login: { weight: 1 } }, {
+        browse: () => ["T01_LaunchPage", "T04_Logout"].forEach(transaction),
+        login: () => ["T01_LaunchPage", "T02_LoginPage", "T03_Login", "T04_Logout"].forEach(transaction)
+    });
+
+    for (let i = 0; i < 20; i++) {
+        tagged = [];
+        let name = journeys.execute();
+        assert.equal(tagged[tagged.length - 1][0], "T04_Logout");
+        tagged.forEach(([transaction, journey]) => assert.equal(journey, name, `${transaction} in ${name}`));
+    }
+    assert.equal(exec.vu.metrics.tags.journey, undefined);
+});
+
+test("unique-per-iteration rows stay unique across the split scenarios", () => {
+    let file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "feeder-")), "users.csv");
+    fs.writeFileSync(file, ["username"].concat([...Array(10).keys()].map((i) => `user${i}`)).join("\n"));
+    let feeder = createFeeder("users", { file: file, mode: "unique-per-iteration" });
+    exec.test.options.scenarios = { LoadTest_browse: {}, LoadTest_login: {} };
+    let rows = [];
+    try {
+        for (let iteration = 0; iteration < Math.floor(feeder.size / 2); iteration++) {
+            for (let name of ["LoadTest_browse", "LoadTest_login"]) {
+                exec.scenario.name = name;
+                exec.scenario.iterationInTest = iteration;
+                exec.vu.iterationInInstance = rows.length;
+                rows.push(JSON.stringify(feeder.row()));
+            }
+        }
+    } finally {
+        exec.test.options.scenarios = {};
+        exec.scenario.name = "default";
+        exec.scenario.iterationInTest = 0;
+        exec.vu.iterationInInstance = 0;
+    }
+    assert.equal(rows.length, 10);
+    assert.equal(new Set(rows).size, rows.length);
+});
@@ -0,0 +1,7 @@
+import crypto from "node:crypto";
+
+export function randomBytes(size) {
+    return crypto.randomBytes(size).buffer;
+}
+
+export default { randomBytes };
@@ -0,0 +1,39 @@
+/**
+ * Helpers for tests that depend on the k6 globals: each runs fn with the
+ * given values in place and restores the previous ones afterwards.
+ */
+import exec from "k6/execution";
+
+/**
+ * @param {Object} env - -e variables, e.g. {THINK_MODEL: "uniform"}
+ * @param {Function} fn - test code
+ * @returns {*} - what fn returns
+ */
+export function withEnv(env, fn) {
+    let saved = Object.assign({}, __ENV);
+    Object.assign(__ENV, env);
+    try {
+        return fn();
+    } finally {
+        Object.keys(__ENV).forEach((key) => delete __ENV[key]);
+        Object.assign(__ENV, saved);
+    }
+}
+
+/**
+ * @param {Object} state - k6/execution fields by section, e.g. {scenario: {name: "LoadTest"}}
+ * @param {Function} fn - test code
+ * @returns {*} - what fn returns
+ */
+export function withExec(state, fn) {
+    let saved = {};
+    Object.keys(state).forEach(function (section) {
+        saved[section] = Object.assign({}, exec[section]);
+        Object.assign(exec[section], state[section]);
+    });
+    try {
+        return fn();
+    } finally {
+        Object.keys(saved).forEach((section) => Object.assign(exec[section], saved[section]));
+    }
+}
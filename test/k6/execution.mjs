@@ -0,0 +1,12 @@
+// tests set the fields they depend on, e.g. exec.scenario.name
+export default {
+    vu: { idInTest: 1, idInInstance: 1, iterationInInstance: 0, iterationInScenario: 0, metrics: { tags: {} } },
+    scenario: { name: "default", executor: "shared-iterations", iterationInTest: 0, iterationInInstance: 0 },
+    instance: { vusActive: 1, iterationsCompleted: 0 },
+    test: {
+        options: { scenarios: {} },
+        abort(message) {
+            throw new Error(`aborted: ${message}`);
+        }
+    }
+};
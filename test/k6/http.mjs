@@ -0,0 +1,13 @@
+// requests are recorded instead of sent, so tests can look at what went out
+export const requests = [];
+
+export function request(method, url, body, params = {}) {
+    requests.push({ method: method, url: url, body: body, params: params });
+    return { status: 200, url: url, body: "", headers: {}, timings: { duration: 1 } };
+}
+
+export function cookieJar() {
+    return { cookiesForURL: () => ({}), set() {}, clear() {} };
+}
+
+export default { request, cookieJar };
@@ -0,0 +1,20 @@
+// seconds of every sleep() call, for tests that check pacing and think time
+export const slept = [];
+
+export function sleep(seconds) {
+    slept.push(seconds);
+}
+
+export function check(value, checks) {
+    return Object.keys(checks).every((name) => checks[name](value));
+}
+
+export function group(name, fn) {
+    return fn();
+}
+
+export function fail(message) {
+    throw new Error(message);
+}
+
+export default { sleep, check, group, fail };
@@ -0,0 +1,16 @@
+// resolves the k6 built-in modules to the fakes in this folder
+const fakes = {
+    "k6": "./k6.mjs",
+    "k6/crypto": "./crypto.mjs",
+    "k6/data": "./data.mjs",
+    "k6/execution": "./execution.mjs",
+    "k6/http": "./http.mjs",
+    "k6/metrics": "./metrics.mjs"
+};
+
+export async function resolve(specifier, context, next) {
+    if (fakes[specifier]) {
+        return { url: new URL(fakes[specifier], import.meta.url).href, shortCircuit: true };
+    }
+    return next(specifier, context);
+}
@@ -0,0 +1,20 @@
+// metrics keep their samples so tests can look at what was added;
+// metrics holds every metric created, by name
+export const metrics = {};
+
+class Metric {
+    constructor(name) {
+        this.name = name;
+        this.samples = [];
+        metrics[name] = this;
+    }
+
+    add(value, tags = {}) {
+        this.samples.push({ value: value, tags: tags });
+    }
+}
+
+export class Counter extends Metric {}
+export class Gauge extends Metric {}
+export class Rate extends Metric {}
+export class Trend extends Metric {}
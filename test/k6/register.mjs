@@ -0,0 +1,20 @@
+/**
+ * Lets the unit tests import the Common modules under Node: maps the k6
+ * modules to the small fakes next to this file and defines the globals k6
+ * gives every script. open() resolves like it does from a suite folder, so
+ * "../Common/..." paths work.
+ *
+ *   node --import ./test/k6/register.mjs --test test/*.test.mjs   (npm test)
+ */
+import { register } from "node:module";
+import fs from "node:fs";
+import path from "node:path";
+
+const suiteDir = path.resolve(path.dirname(new URL(import.meta.url).pathname), "..");
+
+register("./loader.mjs", import.meta.url);
+
+globalThis.__ENV = {};
+globalThis.__VU = 0;
+globalThis.__ITER = 0;
+globalThis.open = (file) => fs.readFileSync(path.resolve(suiteDir, file), "utf8");
@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mergeValues, evaluate, mergeThreshold, mergeSummaries, mergedText } from "../Tools/merge.mjs";
+
+const trend = (count, avg, p95, extra = {}) => Object.assign({ count: count, min: 1, max: 900, avg: avg, "p(95)": p95 }, extra);
+
+// a worker summary as Common/summary.js writes it in a distributed run
+const worker = (index, p95, ok) => ({
+    suite: "Shop",
+    env: "qa",
+    scenario: "LoadTest",
+    worker: { index: index, count: 2 },
+    durationMs: 60000 + index,
+    transactions: { T01_Home: {} },
+    metrics: {
+        "http_req_duration{RT:T01_Home}": {
+            type: "trend",
+            values: trend(100, 200, p95),
+            thresholds: [{ threshold: "p(95) < 500", ok: ok }, { threshold: "avg < 300", ok: true }]
+        },
+        "http_reqs{TPS:T01_Home}": { type: "counter", values: { count: 100, rate: 1.5 }, thresholds: [{ threshold: "count >= 0", ok: true }] }
+    },
+    breaker: [{ transaction: "T01_Home", trips: { errorRate: 1, p95: 0 }, skipped: 3, rule: "per VU: ..." }]
+});
+
+test("counters and rates add up exactly", () => {
+    assert.deepEqual(mergeValues("counter", [{ count: 10, rate: 1 }, { count: 5, rate: 0.5 }]), { count: 15, rate: 1.5 });
+    assert.deepEqual(mergeValues("rate", [{ passes: 3, fails: 1 }, { passes: 0, fails: 4 }]), { passes: 3, fails: 5, rate: 0.375 });
+    assert.deepEqual(mergeValues("gauge", [{ value: 2, min: 1, max: 3 }, { value: 5, min: 0, max: 6 }]), { value: 5, min: 0, max: 6 });
+});
+
+test("trends keep min and max and weight the rest by count", () => {
+    let merged = mergeValues("trend", [trend(100, 100, 200, { min: 5 }), trend(300, 200, 400, { max: 1000 })]);
+    assert.equal(merged.count, 400);
+    assert.equal(merged.min, 1);
+    assert.equal(merged.max, 1000);
+    assert.equal(merged.avg, 175);
+    assert.equal(merged["p(95)"], 350);
+});
+
+test("threshold expressions are evaluated like k6 does", () => {
+    assert.equal(evaluate("p(95) < 500", { "p(95)": 499 }), true);
+    assert.equal(evaluate("p(95)<500", { "p(95)": 500 }), false);
+    assert.equal(evaluate("rate >= 0.99", { rate: 0.99 }), true);
+    assert.equal(evaluate("count <= 0", { count: 1 }), false);
+    assert.equal(evaluate("p(99) < 500", { "p(95)": 1 }), false);
+});
+
+test("percentile thresholds take the verdicts of the workers", () => {
+    assert.deepEqual(mergeThreshold("p(95) < 500", { "p(95)": 340 }, [false, true]), { threshold: "p(95) < 500", ok: false, approximate: true });
+    assert.deepEqual(mergeThreshold("med < 100", { med: 500 }, [true, true]), { threshold: "med < 100", ok: true, approximate: true });
+    assert.equal(mergeThreshold("p(95) < 500", { "p(95)": 1 }, [true, undefined]).ok, false);
+    assert.deepEqual(mergeThreshold("avg < 300", { avg: 200 }, [false]), { threshold: "avg < 300", ok: true, approximate: false });
+});
+
+test("a worker that crossed a percentile threshold never merges to a pass", () => {
+    let merged = mergeSummaries([worker(1, 90, true), worker(0, 590, false)]);
+    assert.equal(merged.metrics["http_req_duration{RT:T01_Home}"].values["p(95)"], 340);
+    assert.deepEqual(merged.thresholds.map((t) => [t.threshold, t.ok]), [["p(95) < 500", false], ["avg < 300", true]]);
+    assert.equal(merged.transactions.T01_Home.passed, false);
+    assert.equal(merged.transactions.T01_Home.count, 200);
+    assert.deepEqual(merged.missing, []);
+    assert.equal(merged.durationMs, 60001);
+    assert.match(mergedText(merged), /crossed p\(95\) < 500 on at least one worker/);
+    assert.match(mergedText(merged), /FAILED: 1 of 2 thresholds hold/);
+});
+
+test("breaker trips add up and missing workers are listed", () => {
+    let merged = mergeSummaries([worker(0, 90, true), worker(0, 90, true)].map((s) => Object.assign(s, { worker: { index: 0, count: 3 } })));
+    assert.deepEqual(merged.breaker, [{ transaction: "T01_Home", trips: { errorRate: 2, p95: 0 }, skipped: 6, rule: "per VU: ..." }]);
+    assert.deepEqual(merged.missing, [1, 2]);
+    assert.ok(merged.thresholds.every((t) => t.ok));
+});
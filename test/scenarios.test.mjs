@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadSettings, buildScenarios, selectScenarios, scenarioNames, toSeconds } from "../Common/scenarios.js";
+import { abortAtBreakpoint } from "../Common/thresholds.js";
+
+const defaults = { target: 200, startTarget: 1, timeUnit: "0.1s", rampUp: "10s", preAllocatedVUs: 1, maxVUs: 150 };
+
+test("-e values override the suite defaults", () => {
+    assert.deepEqual(loadSettings(defaults, {}), {
+        target: 200, startRate: 1, startTarget: 1, timeUnit: "0.1s", rampUp: "10s", hold: undefined, preAllocatedVUs: 1, maxVUs: 150
+    });
+    let s = loadSettings(defaults, { TARGET: "50", STARTRATE: "5", STEADYSTATE: "3m", MAXVUS: "20" });
+    assert.equal(s.target, 50);
+    assert.equal(s.startRate, 5);
+    assert.equal(s.hold, "3m");
+    assert.equal(s.maxVUs, 20);
+    assert.equal(loadSettings({ target: 10 }, {}).startTarget, 10);
+});
+
+test("every profile of scenarios.json is built from the settings", () => {
+    let profiles = buildScenarios("callList", Object.assign({ startRate: 3 }, defaults), { STEADYSTATE: "1m" });
+    assert.deepEqual(Object.keys(profiles), scenarioNames);
+    assert.equal(profiles.LoadTest.startRate, 3);
+    assert.deepEqual(profiles.LoadTest.stages, [{ target: 1, duration: "10s" }, { target: 200, duration: "1m" }]);
+    assert.equal(Math.max(...profiles.StressTest.stages.map((s) => s.target)), 400);
+    assert.equal(profiles.SpikeTest.stages[0].target, 20);
+    assert.deepEqual(profiles.BreakpointTest.stages, [{ target: 600, duration: "1m" }]);
+    assert.ok(profiles.BellCurve.stages.length > 0);
+    assert.equal(profiles.SingleUser.iterations, 1);
+    Object.keys(profiles).forEach((name) => assert.equal(profiles[name].exec, "callList"));
+});
+
+test("selectScenarios picks the named profiles", () => {
+    let profiles = buildScenarios("callList", defaults, { STEADYSTATE: "1m" });
+    assert.deepEqual(Object.keys(selectScenarios(profiles)), ["LoadTest", "SingleUser"]);
+    assert.deepEqual(Object.keys(selectScenarios(profiles, "SpikeTest, SoakTest")), ["SpikeTest", "SoakTest"]);
+    assert.throws(() => selectScenarios(profiles, "SurgeTest"), /Unknown scenario "SurgeTest"/);
+});
+
+test("toSeconds reads k6 durations", () => {
+    assert.equal(toSeconds("1h30m"), 5400);
+    assert.equal(toSeconds("250ms"), 0.25);
+    assert.throws(() => toSeconds("soon"), /Invalid duration/);
+});
+
+test("BreakpointTest makes every real threshold abort the test", () => {
+    let thresholds = () => ({
+        "http_req_duration{RT:T01}": ["p(95) < 500"],
+        "checks{Checks:T01}": [{ threshold: "rate >= 1", abortOnFail: true, delayAbortEval: "1m" }],
+        "errors_5xx{Errors:T01}": ["count >= 0"]
+    });
+    assert.deepEqual(abortAtBreakpoint(thresholds(), "LoadTest"), thresholds());
+    assert.deepEqual(abortAtBreakpoint(thresholds(), "LoadTest,BreakpointTest"), {
+        "http_req_duration{RT:T01}": [{ threshold: "p(95) < 500", abortOnFail: true, delayAbortEval: "10s" }],
+        "checks{Checks:T01}": [{ threshold: "rate >= 1", abortOnFail: true, delayAbortEval: "1m" }],
+        "errors_5xx{Errors:T01}": ["count >= 0"]
+    });
+});
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { slept } from "k6";
+import { createThinkTime, sample, expected } from "../Common/thinktime.js";
+import { withEnv } from "./k6/env.mjs";
+
+test("samples stay inside the bounds of their model", () => {
+    for (let i = 0; i < 200; i++) {
+        let uniform = sample({ model: "uniform", min: 1, max: 3 });
+        assert.ok(uniform >= 1 && uniform <= 3);
+        let gaussian = sample({ model: "gaussian", mean: 2, stddev: 5, min: 0.5, max: 4 });
+        assert.ok(gaussian >= 0.5 && gaussian <= 4);
+        assert.ok(sample({ model: "exponential", mean: 2, max: 10 }) <= 10);
+    }
+    assert.equal(sample(2), 2);
+    assert.equal(sample({ model: "constant", mean: 1.5 }), 1.5);
+    assert.equal(sample(null), 0);
+});
+
+test("THINK_MODEL applies to plain numbers", () => {
+    withEnv({ THINK_MODEL: "uniform" }, () => {
+        for (let i = 0; i < 50; i++) {
+            let value = sample(2);
+            assert.ok(value >= 1 && value <= 3);
+        }
+    });
+});
+
+test("expected gives the mean of a spec", () => {
+    assert.equal(expected(3), 3);
+    assert.equal(expected({ model: "uniform", min: 1, max: 3 }), 2);
+    assert.equal(expected({ model: "exponential", mean: 4 }), 4);
+});
+
+test("a bad THINK_MODEL or spec fails once when the policy is created", () => {
+    withEnv({ THINK_MODEL: "unifrom" }, () => {
+        assert.throws(() => createThinkTime({ default: 1 }), /Unknown THINK_MODEL "unifrom"/);
+    });
+    assert.throws(() => createThinkTime({ default: -1 }), /Invalid think time -1/);
+    assert.throws(() => createThinkTime({ default: { model: "poisson", mean: 1 } }), /Unknown think time model/);
+    assert.throws(() => createThinkTime({ transactions: { T01: { model: "uniform", min: 1 } } }), /needs min and max/);
+    withEnv({ PACING: "-5" }, () => assert.throws(() => createThinkTime({}), /Invalid pacing/));
+});
+
+test("transaction overrides, the multiplier and THINK_TIME=off", () => {
+    let settings = { default: 2, transactions: { T02_Login: 4 } };
+    withEnv({ THINK_MULTIPLIER: "0.5" }, () => {
+        let thinkTime = createThinkTime(settings);
+        assert.equal(thinkTime.duration("T01_Home"), 1);
+        assert.equal(thinkTime.duration("T02_Login"), 2);
+        assert.equal(thinkTime.mean("T02_Login"), 2);
+    });
+    withEnv({ THINK_TIME: "off" }, () => {
+        let thinkTime = createThinkTime(settings);
+        slept.length = 0;
+        thinkTime.think("T02_Login");
+        assert.deepEqual(slept, []);
+    });
+});
+
+test("pace sleeps out the rest of the pacing interval", () => {
+    let thinkTime = createThinkTime({ pacing: 10 });
+    slept.length = 0;
+    thinkTime.pace();
+    assert.deepEqual(slept, []);
+    thinkTime.startIteration();
+    thinkTime.pace();
+    assert.equal(slept.length, 1);
+    assert.ok(slept[0] > 9.9 && slept[0] <= 10);
+});
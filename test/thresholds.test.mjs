@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildThresholds, resolveSla } from "../Common/thresholds.js";
+
+const sla = {
+    defaults: { p95: 500, checkRate: 1, errorRate: 0, minTps: 0 },
+    transactions: { T02_Login: { p95: 800, minTps: null } },
+    environments: {
+        qa: { defaults: { p95: 600 }, transactions: { T02_Login: { maxErrors: { "5xx": 0 } } } }
+    }
+};
+
+test("one threshold per SLA key and transaction", () => {
+    let thresholds = buildThresholds(["T01_Home"], sla, "dev");
+    assert.deepEqual(thresholds["http_req_duration{RT:T01_Home}"], ["p(95) < 500"]);
+    assert.deepEqual(thresholds["checks{Checks:T01_Home}"], ["rate >= 1"]);
+    assert.deepEqual(thresholds["http_req_failed{FR:T01_Home}"], ["rate <= 0"]);
+    assert.deepEqual(thresholds["http_reqs{TPS:T01_Home}"], ["rate > 0"]);
+    assert.equal(thresholds["page_duration{Page:T01_Home}"], undefined);
+});
+
+test("the most specific SLA layer wins and null drops a threshold", () => {
+    let thresholds = buildThresholds(["T01_Home", "T02_Login"], sla, "qa");
+    assert.deepEqual(thresholds["http_req_duration{RT:T01_Home}"], ["p(95) < 600"]);
+    assert.deepEqual(thresholds["http_req_duration{RT:T02_Login}"], ["p(95) < 800"]);
+    assert.equal(thresholds["http_reqs{TPS:T02_Login}"], undefined);
+    assert.equal(resolveSla("T02_Login", sla, "dev").p95, 800);
+    assert.equal(resolveSla("T02_Login", { transactions: { T02_Login: { p95: 800 } }, environments: { qa: { transactions: { T02_Login: { p95: 900 } } } } }, "qa").p95, 900);
+});
+
+test("error classes are tracked and limited by maxErrors", () => {
+    let thresholds = buildThresholds(["T01_Home", "T02_Login"], sla, "qa");
+    assert.deepEqual(thresholds["errors_5xx{Errors:T01_Home}"], ["count >= 0"]);
+    assert.deepEqual(thresholds["errors_5xx{Errors:T02_Login}"], ["count <= 0"]);
+    assert.deepEqual(thresholds["errors_timeout{Errors:T02_Login}"], ["count >= 0"]);
+});
+
+test("abortOnFail turns the expressions into threshold objects", () => {
+    let thresholds = buildThresholds(["T01_Home"], { defaults: { p95: 500, abortOnFail: true, delayAbortEval: "30s" } });
+    assert.deepEqual(thresholds["http_req_duration{RT:T01_Home}"], [{ threshold: "p(95) < 500", abortOnFail: true, delayAbortEval: "30s" }]);
+});
+
+test("no SLA gives tracking thresholds only", () => {
+    let thresholds = buildThresholds(["T01_Home"]);
+    assert.ok(Object.values(thresholds).every((list) => list.length == 1 && list[0] == "count >= 0"));
+});